@@ -2,6 +2,8 @@ import express from "express";
 import { GoogleGenerativeAI } from "@google/generative-ai";
 import dotenv from "dotenv";
 import fetch from "node-fetch";
+import { parseBloodPressure } from "./utils/normalize.js";
+import { datedVisits, riskScore as scoreRisk, riskLevel } from "./utils/riskScoring.js";
 
 dotenv.config();
 const router = express.Router();
@@ -154,9 +156,7 @@ router.post("/ongoing-progression", async (req, res) => {
 // 🧩 Rule-Based Prediction Engine
 // ===============================
 function generateRuleBasedPrediction(visits, patient) {
-  const validatedVisits = (visits || [])
-    .filter((v) => v && v.GESTATIONAL_AGE_WEEKS)
-    .sort((a, b) => a.GESTATIONAL_AGE_WEEKS - b.GESTATIONAL_AGE_WEEKS);
+  const validatedVisits = datedVisits(visits);
 
   if (!validatedVisits.length) return getFallbackPrediction();
 
@@ -164,7 +164,8 @@ function generateRuleBasedPrediction(visits, patient) {
   const currentGA = latestVisit.GESTATIONAL_AGE_WEEKS;
   const weeksToProject = Math.min(40 - currentGA, 12);
 
-  const riskScore = calculatePatientRisk(latestVisit, patient, validatedVisits);
+  // Shared with the risk worklist and the patient list (utils/riskScoring.js)
+  const riskScore = scoreRisk(latestVisit, patient);
   const deliveryType = calculateDeliveryType(riskScore);
   const deliveryMode = calculateDeliveryMode(riskScore);
   const progression = generateProgression(validatedVisits, currentGA, weeksToProject);
@@ -180,6 +181,7 @@ function generateRuleBasedPrediction(visits, patient) {
       weeksProjected: weeksToProject,
       visitCount: validatedVisits.length,
       riskScore: Math.round(riskScore * 100) / 100,
+      riskLevel: riskLevel(riskScore),
       generatedAt: new Date().toISOString(),
       source: "rule-based-engine",
     },
@@ -187,24 +189,6 @@ function generateRuleBasedPrediction(visits, patient) {
 }
 
 // ============ Supporting Functions ============
-function calculatePatientRisk(visit, patient, allVisits) {
-  let risk = 0;
-  const age = patient.AGE || 25;
-  const bmi = patient.BMI_VALUE || 23;
-
-  if (visit.HEMOGLOBIN_LEVEL < 11) risk += 0.3;
-  if (visit.HEMOGLOBIN_LEVEL < 10) risk += 0.2;
-  if (visit.BLOOD_PRESSURE) {
-    const { systolic, diastolic } = parseBloodPressure(visit.BLOOD_PRESSURE);
-    if (systolic >= 140 || diastolic >= 90) risk += 0.4;
-  }
-  if (visit.FUNDAL_HEIGHT && Math.abs(visit.FUNDAL_HEIGHT - visit.GESTATIONAL_AGE_WEEKS) > 3)
-    risk += 0.2;
-  if (age < 18 || age > 35) risk += 0.2;
-  if (bmi < 18.5 || bmi > 30) risk += 0.2;
-  return Math.min(1, risk);
-}
-
 function calculateDeliveryType(risk) {
   const ft = 0.8 - risk * 0.4;
   const pm = 0.15 + risk * 0.3;
@@ -224,7 +208,7 @@ function calculateDeliveryMode(risk) {
 
 function generateProgression(visits, currentGA, weeksToProject) {
   const v = visits.at(-1);
-  const bp = parseBloodPressure(v.BLOOD_PRESSURE);
+  const bp = parseBloodPressure(v.BLOOD_PRESSURE, DEFAULT_BLOOD_PRESSURE);
   const base = {
     w: v.MATERNAL_WEIGHT || 62,
     h: v.HEMOGLOBIN_LEVEL || 11.5,
@@ -245,20 +229,14 @@ function generateProgression(visits, currentGA, weeksToProject) {
   return progression;
 }
 
-function parseBloodPressure(bp) {
-  try {
-    const [s, d] = bp.toString().split("/").map(Number);
-    return { systolic: s || 115, diastolic: d || 70 };
-  } catch {
-    return { systolic: 115, diastolic: 70 };
-  }
-}
+const DEFAULT_BLOOD_PRESSURE = { systolic: 115, diastolic: 70 };
 
 function generateSummary(risk, deliveryType, patient, visit) {
   const ft = Math.round(deliveryType.Matured * 100);
-  if (risk < 0.3)
+  const level = riskLevel(risk);
+  if (level === "low")
     return `Low-risk pregnancy (${ft}% MATURED). Continue standard antenatal monitoring.`;
-  if (risk < 0.6)
+  if (level === "moderate")
     return `Moderate risk (${ft}% MATURED). Monitor blood pressure and hemoglobin weekly.`;
   return `High-risk pregnancy (${ft}% MATURED). Close supervision and referral recommended.`;
 }
@@ -4,13 +4,42 @@ dotenv.config();
 
 
 import express from "express";
-import snowflake from "snowflake-sdk";
 import cors from "cors";
 import bodyParser from "body-parser";
 
 
 // ⭐️ Renamed 'aiserver 1.js' to 'aiserver.js'
 import router from "./aiserver.js";
+import { createDataSource } from "./utils/dataSource.js";
+import { emptyIndexes, identityKey, personRows, rowsForPatients } from "./utils/cacheIndex.js";
+import { refreshCache, applyCacheChanges } from "./utils/cacheRefresh.js";
+import RefreshScheduler from "./utils/RefreshScheduler.js";
+import { queryPatientList, patientListRows, wantsListEnvelope, asksForPage, paginate, ListQueryError } from "./utils/patientList.js";
+import { searchPatients } from "./utils/patientSearch.js";
+import { buildTimeline } from "./utils/patientTimeline.js";
+import { validateVisit, validateDelivery, ValidationError } from "./utils/clinicalValidation.js";
+import { planDeliveryPromotion, LifecycleConflictError } from "./utils/patientLifecycle.js";
+import { configureNormalization } from "./utils/normalize.js";
+import { dataQualityReport } from "./utils/dataQuality.js";
+import PatientLinkStore from "./utils/PatientLinkStore.js";
+import Gazetteer from "./utils/Gazetteer.js";
+import { findDuplicateCandidates } from "./utils/recordLinkage.js";
+import { configureAnalytics, parseAnalyticsFilters, hasAnalyticsFilters, describeFilters, filterCohorts, summarize, AnalyticsQueryError } from "./utils/analytics.js";
+import { parseTrendOptions, buildTrends, trendTable } from "./utils/analyticsTrends.js";
+import { parseComparison, compareCohorts, comparisonTable } from "./utils/cohortComparison.js";
+import { parseStratum, describeStratum, referenceCurves, curveTable } from "./utils/referenceCurves.js";
+import { parseDeviationOptions, scorePregnancy } from "./utils/visitDeviations.js";
+import { parseGeoOptions, aggregateByRegion, toFeatureCollection } from "./utils/geoAnalytics.js";
+import { parseNeonatalOptions, birthWeightReference, neonatalOutcomes, neonatalTable } from "./utils/neonatalAnalytics.js";
+import {
+    parseLengthOfStayOptions, parseForecastOptions, deliveryModel, describeLengthOfStay, capacityForecast,
+} from "./utils/capacityForecast.js";
+import {
+    parseScheduleOptions, parseScheduleWeeks, buildSchedule, ongoingSchedules, upcomingContacts, overduePatients, clinicAdherence,
+} from "./utils/ancSchedule.js";
+import { parseWorklistOptions, describeWorklistOptions, ongoingRiskScores, riskWorklist } from "./utils/riskWorklist.js";
+import { writeSnapshot, readLatestSnapshot, applySnapshot, describeSnapshot } from "./utils/cacheSnapshot.js";
+import { exportFormat, parseColumns, tableRows, exportFilename, streamTable, ExportError } from "./utils/tableExport.js";
 
 const app = express();
 const port = process.env.PORT || 5000;
@@ -18,33 +47,99 @@ const port = process.env.PORT || 5000;
 app.use(cors());
 app.use(bodyParser.json());
 
-// --- Snowflake connection setup ---
-// ⭐️ Make sure your .env file has these new names
-const connection = snowflake.createConnection({
-    account: process.env.SF_ACCOUNT,
-    username: process.env.SF_USER,
-    password: process.env.SF_PASSWORD,
-    warehouse: process.env.SF_WAREHOUSE,
-    database: process.env.SF_DATABASE,
-    schema: process.env.SF_SCHEMA,
-});
-
-// utility to run queries returning Promise<rows>
-const runQuery = async (sql, params = []) => {
-  return new Promise((resolve, reject) => {
-    connection.execute({
-      sqlText: sql,
-      binds: params, // This is crucial - binds the parameters
-      complete: (err, stmt, rows) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(rows);
-        }
-      }
-    });
-  });
-};
+
+// =======================
+// 📤 CSV / Excel Export
+// =======================
+// The list and analytics routes registered with `exportable` (patient lists,
+// worklists, summaries, trends, reference curves, ...) can be downloaded with
+// ?format=csv|xlsx or an Accept header of text/csv or the .xlsx type, with
+// ?table= and ?columns= (see utils/tableExport.js). Lists hand over their
+// rows lazily, so a download never builds the JSON response. Errors are
+// still sent as JSON.
+function exportable(req, res, next) {
+    try {
+        res.locals.exportFormat = exportFormat(req);
+    } catch (err) {
+        return res.status(400).json({ success: false, error: err.message });
+    }
+    res.vary("Accept");
+    next();
+}
+
+// Streams rows (any iterable) in the format `exportable` picked; `headers`
+// are only set once the export is known to go ahead
+function sendExport(req, res, rows, { headers } = {}) {
+    const format = res.locals.exportFormat;
+    const route = `${req.baseUrl}${req.path}`;
+    let columns;
+    try {
+        columns = parseColumns(req.query.columns);
+    } catch (err) {
+        return res.status(400).json({ success: false, error: err.message });
+    }
+
+    streamTable(res, rows, { format, columns, filename: exportFilename(route), headers })
+        .then((count) => console.log(`📤 Exported ${count} rows from ${route} as ${format}`))
+        .catch((err) => {
+            if (res.headersSent) {
+                console.error(`❌ Export from ${route} stopped:`, err.message);
+                return res.destroy();
+            }
+            if (err instanceof ExportError) {
+                return res.status(400).json({ success: false, error: err.message });
+            }
+            console.error(`❌ Export from ${route} failed:`, err.message);
+            res.status(500).json({ success: false, error: "Failed to export", details: err.message });
+        });
+}
+
+// Sends a built response as JSON or as a download of its rows: ?table=,
+// else toRows(body), else its main list
+function sendJsonOrExport(req, res, body, toRows = null) {
+    if (!res.locals.exportFormat) return res.json(body);
+    let rows;
+    try {
+        rows = req.query.table === undefined && toRows ? toRows(body) : tableRows(body, req.query.table);
+    } catch (err) {
+        if (!(err instanceof ExportError)) throw err;
+        return res.status(400).json({ success: false, error: err.message });
+    }
+    sendExport(req, res, rows);
+}
+
+// --- Data source setup ---
+// ⭐️ DATA_SOURCE=snowflake (default) reads the SF_* variables from .env,
+// DATA_SOURCE=local serves JSON/CSV fixtures from LOCAL_DATA_DIR
+const dataSource = createDataSource();
+
+// Dates are normalized to the hospital's calendar day (default Asia/Kolkata)
+configureNormalization({ timeZone: process.env.HOSPITAL_TIMEZONE });
+
+// Scheduled cache refreshes; set an interval to 0 to disable it
+const refreshScheduler = new RefreshScheduler();
+const minutesToMs = (value, fallback) => Number(value ?? fallback) * 60 * 1000;
+const HOSPITAL_REFRESH_MS = minutesToMs(process.env.HOSPITAL_CACHE_REFRESH_MINUTES, 60);
+const ONGOING_REFRESH_MS = minutesToMs(process.env.ONGOING_CACHE_REFRESH_MINUTES, 15);
+const CHANGE_COLUMN = process.env.CHANGE_TIMESTAMP_COLUMN;
+const INITIAL_LOAD_RETRY_MS = 30 * 1000;
+
+// Gzipped cache snapshots for warm restarts; CACHE_SNAPSHOTS=false disables them
+const SNAPSHOTS_ENABLED = process.env.CACHE_SNAPSHOTS !== "false";
+const SNAPSHOT_DIR = process.env.CACHE_SNAPSHOT_DIR || "data/snapshots";
+const SNAPSHOT_KEEP = Number(process.env.CACHE_SNAPSHOT_KEEP || 3);
+
+// Confirmed duplicate-patient links (see /api/patient-links)
+const patientLinks = new PatientLinkStore(process.env.PATIENT_LINKS_FILE || "data/patient-links.json");
+
+// Locality -> district -> state lookup for free-text addresses
+const gazetteer = new Gazetteer(process.env.GAZETTEER_FILE || "data/gazetteer.json");
+configureAnalytics({ resolveRegion: (address) => gazetteer.resolve(address).region });
+
+// Antenatal contact schedule: gestational weeks (default: WHO 8 contacts) and
+// the visit/patient column naming the clinic (default: the address's district)
+const ANC_SCHEDULE = parseScheduleWeeks(process.env.ANC_SCHEDULE_WEEKS);
+const ANC_CLINIC_COLUMN = process.env.ANC_CLINIC_COLUMN;
 
 
 // ====== Unified cache for delivered patients ======
@@ -53,6 +148,8 @@ let unifiedCache = {
     patients: [],
     deliveries: [],
     babies: [],
+    indexes: emptyIndexes(),
+    snapshot: null,
     loaded: false,
     loading: false,
     error: null,
@@ -63,6 +160,8 @@ let unifiedCache = {
 let unifiedCacheOngoing = {
     visits: [],
     patients: [],
+    indexes: emptyIndexes(),
+    snapshot: null,
     loaded: false,
     loading: false,
     error: null,
@@ -70,33 +169,31 @@ let unifiedCacheOngoing = {
 
 
 // Load full hospital data
-async function loadAllData() {
-    if (unifiedCache.loading) return;
+// After the first load only changed rows are fetched, unless { full: true }
+async function loadAllData(options = {}) {
+    if (unifiedCache.loading) {
+        return { cache: "hospital", skipped: true, reason: "Refresh already in progress" };
+    }
     unifiedCache.loading = true;
     console.log("🔄 Loading hospital data into cache...");
 
     try {
-        const startTime = Date.now();
-        // ⭐️ Make sure these view names match your Snowflake
-        const [visits, patients, deliveries, babies] = await Promise.all([
-            runQuery("SELECT * FROM HEAL.HOSPITAL_VIEW.unified_visits_view"),
-            runQuery("SELECT * FROM HEAL.HOSPITAL_VIEW.unified_patients_view"),
-            runQuery("SELECT * FROM HEAL.HOSPITAL_VIEW.unified_deliveries_view"),
-            runQuery("SELECT * FROM HEAL.HOSPITAL_VIEW.unified_baby_view"),
-        ]);
-
-        unifiedCache.visits = visits || [];
-        unifiedCache.patients = patients || [];
-        unifiedCache.deliveries = deliveries || [];
-        unifiedCache.babies = babies || [];
-        unifiedCache.loaded = true;
+        const report = await refreshCache(unifiedCache, "hospital", dataSource, {
+            ...options,
+            changeColumn: CHANGE_COLUMN,
+        });
 
         console.log(
-            `✅ Main Cache Loaded: ${unifiedCache.patients.length} patients, ${unifiedCache.deliveries.length} deliveries`
+            `✅ Main Cache Loaded in ${report.durationMs}ms: ${unifiedCache.patients.length} patients, ${unifiedCache.deliveries.length} deliveries`
         );
+        unifiedCache.snapshot = null;
+        saveSnapshot("hospital", unifiedCache);
+        return report;
     } catch (err) {
         console.error("❌ Error loading main cache:", err);
         unifiedCache.error = err.message;
+        retryUntilLoaded(unifiedCache, loadAllData);
+        return { cache: "hospital", error: err.message };
     } finally {
         unifiedCache.loading = false;
     }
@@ -105,52 +202,101 @@ async function loadAllData() {
 
 
 // Load ongoing pregnancy data
-async function loadOngoingData() {
-    if (unifiedCacheOngoing.loading) return;
+async function loadOngoingData(options = {}) {
+    if (unifiedCacheOngoing.loading) {
+        return { cache: "ongoing", skipped: true, reason: "Refresh already in progress" };
+    }
     unifiedCacheOngoing.loading = true;
     console.log("🔄 Loading ongoing patients data into cache...");
 
     try {
-        const startTime = Date.now();
-        // ⭐️ Make sure these table names match your Snowflake
-        const [visits, patients] = await Promise.all([
-            runQuery("SELECT * FROM HEAL.ONGOING.UNIFIED_VISITS_TABLE"),
-            runQuery("SELECT * FROM HEAL.ONGOING.UNIFIED_PATIENTS_TABLE"),
-        ]);
-
-        unifiedCacheOngoing.visits = visits || [];
-        unifiedCacheOngoing.patients = patients || [];
-        unifiedCacheOngoing.loaded = true;
-
-        const loadTime = Date.now() - startTime;
-        console.log(`✅ Ongoing Cache Loaded in ${loadTime}ms`);
+        const report = await refreshCache(unifiedCacheOngoing, "ongoing", dataSource, {
+            ...options,
+            changeColumn: CHANGE_COLUMN,
+        });
+
+        console.log(`✅ Ongoing Cache Loaded in ${report.durationMs}ms`);
         console.log(
             `📊 Stats: ${unifiedCacheOngoing.patients.length} ongoing patients, ${unifiedCacheOngoing.visits.length} visits`
         );
+        unifiedCacheOngoing.snapshot = null;
+        saveSnapshot("ongoing", unifiedCacheOngoing);
+        warmRiskWorklist();
+        return report;
     } catch (err) {
         console.error("❌ Error loading ongoing cache:", err);
         unifiedCacheOngoing.error = err.message;
+        retryUntilLoaded(unifiedCacheOngoing, loadOngoingData);
+        return { cache: "ongoing", error: err.message };
     } finally {
         unifiedCacheOngoing.loading = false;
     }
 }
 
-// Connect once, then load both caches
-connection.connect(async (err, conn) => {
-    if (err) {
-        console.error("❌ Unable to connect to Snowflake:", err.message);
-        return;
-    }
+// A cache that never loaded shouldn't wait for the next scheduled refresh
+function retryUntilLoaded(cache, loader) {
+    if (cache.loaded) return;
+    setTimeout(() => loader({ full: true }), INITIAL_LOAD_RETRY_MS).unref?.();
+}
 
-    console.log("✅ Connected to Snowflake!");
-    try {
-        console.log("Connection ID:", conn.getId());
-    } catch { }
+const cacheLoaders = {
+    hospital: loadAllData,
+    ongoing: loadOngoingData,
+};
 
-    // Load both caches
-    await loadAllData();
-    await loadOngoingData();
-});
+const cachesByName = {
+    hospital: unifiedCache,
+    ongoing: unifiedCacheOngoing,
+};
+
+// Written in the background; a failed write only costs the next warm start
+function saveSnapshot(cacheName, cache) {
+    if (!SNAPSHOTS_ENABLED) return;
+    writeSnapshot(SNAPSHOT_DIR, cacheName, cache, { source: dataSource.name, keep: SNAPSHOT_KEEP })
+        .then((info) => console.log(`💾 ${cacheName} snapshot saved: ${info.file}`))
+        .catch((err) => console.error(`❌ Failed to save ${cacheName} snapshot:`, err.message));
+}
+
+// Serve the newest snapshots while the live load runs
+async function restoreSnapshots() {
+    if (!SNAPSHOTS_ENABLED) return;
+    for (const [cacheName, cache] of Object.entries(cachesByName)) {
+        try {
+            const snapshot = await readLatestSnapshot(SNAPSHOT_DIR, cacheName);
+            if (!snapshot) continue;
+            applySnapshot(cache, snapshot);
+            console.log(`💾 Serving ${cacheName} cache from snapshot ${snapshot.file} (${snapshot.metadata.createdAt})`);
+        } catch (err) {
+            console.error(`❌ Could not restore ${cacheName} snapshot:`, err.message);
+        }
+    }
+}
+
+patientLinks.load()
+    .then(() => console.log(`🔗 Loaded patient links from ${patientLinks.filePath}`))
+    .catch((err) => console.error("❌ Failed to load patient links:", err.message));
+
+gazetteer.load()
+    .then(() => console.log(`🗺️ Loaded ${gazetteer.regions.size} gazetteer regions from ${gazetteer.filePath}`))
+    .catch((err) => console.error("❌ Failed to load gazetteer:", err.message));
+
+// Restore snapshots, connect once, then load both caches
+restoreSnapshots()
+    .then(() => dataSource.connect())
+    .then(async () => {
+        console.log(`✅ Connected to ${dataSource.name} data source!`);
+
+        // Load both caches (in full, a snapshot may be arbitrarily old)
+        await loadAllData({ full: true });
+        await loadOngoingData({ full: true });
+
+        // Keep them fresh in the background
+        refreshScheduler.schedule("hospital", HOSPITAL_REFRESH_MS, () => loadAllData());
+        refreshScheduler.schedule("ongoing", ONGOING_REFRESH_MS, () => loadOngoingData());
+    })
+    .catch((err) => {
+        console.error(`❌ Unable to connect to ${dataSource.name} data source:`, err.message);
+    });
 
 
 
@@ -168,12 +314,28 @@ app.get("/api/cache/status", (req, res) => {
         loaded: unifiedCache.loaded,
         loading: unifiedCache.loading,
         error: unifiedCache.error,
+        dataSource: dataSource.name,
+        connection: dataSource.status(),
+        ...describeSnapshot(unifiedCache),
+        lastRefresh: unifiedCache.lastRefresh || null,
         stats: {
             patients: unifiedCache.patients.length,
             visits: unifiedCache.visits.length,
             deliveries: unifiedCache.deliveries.length,
             babies: unifiedCache.babies.length,
         },
+        ongoing: {
+            loaded: unifiedCacheOngoing.loaded,
+            loading: unifiedCacheOngoing.loading,
+            error: unifiedCacheOngoing.error,
+            ...describeSnapshot(unifiedCacheOngoing),
+            lastRefresh: unifiedCacheOngoing.lastRefresh || null,
+            stats: {
+                patients: unifiedCacheOngoing.patients.length,
+                visits: unifiedCacheOngoing.visits.length,
+            },
+        },
+        schedule: refreshScheduler.status(),
     });
 });
 
@@ -222,11 +384,213 @@ app.get("/api/debug/search/:name", (req, res) => {
     });
 });
 
+// =======================
+// 🔎 Patient Search (historical + ongoing)
+// =======================
+// ?q= name, patient ID, phone, address or date of birth; ?cohort=all|historical|ongoing; ?limit=
+app.get("/api/search", (req, res) => {
+    const query = String(req.query.q || "").trim();
+    if (query.length < 2) {
+        return res.status(400).json({ success: false, error: "Query parameter q must be at least 2 characters" });
+    }
+
+    const cohort = String(req.query.cohort || "all").toLowerCase();
+    const cohorts = [
+        { name: "historical", cache: unifiedCache },
+        { name: "ongoing", cache: unifiedCacheOngoing },
+    ].filter((c) => cohort === "all" || c.name === cohort);
+    if (!cohorts.length) {
+        return res.status(400).json({ success: false, error: "cohort must be all, historical or ongoing" });
+    }
+
+    const loadedCohorts = cohorts.filter((c) => c.cache.loaded);
+    if (!loadedCohorts.length) {
+        return res.status(503).json({
+            success: false,
+            error: "Cache is still loading. Please wait...",
+            loading: true,
+        });
+    }
+
+    const limit = Math.min(100, Math.max(1, Number(req.query.limit) || 20));
+    const { total, results } = searchPatients(loadedCohorts, query, { limit });
+
+    res.json({
+        success: true,
+        query,
+        searchedCohorts: loadedCohorts.map((c) => c.name),
+        total,
+        results,
+    });
+});
+
+// =======================
+// 🧪 Data Quality Report
+// =======================
+// ?cohort=all|historical|ongoing; ?limit= records listed per finding (default 100)
+app.get("/api/data-quality", (req, res) => {
+    const cohort = String(req.query.cohort || "all").toLowerCase();
+    const cohorts = [
+        { name: "historical", cacheName: "hospital", cache: unifiedCache },
+        { name: "ongoing", cacheName: "ongoing", cache: unifiedCacheOngoing },
+    ].filter((c) => cohort === "all" || c.name === cohort);
+    if (!cohorts.length) {
+        return res.status(400).json({ success: false, error: "cohort must be all, historical or ongoing" });
+    }
+
+    const loadedCohorts = cohorts.filter((c) => c.cache.loaded);
+    if (!loadedCohorts.length) {
+        return res.status(503).json({
+            success: false,
+            error: "Cache is still loading. Please wait...",
+            loading: true,
+        });
+    }
+
+    const limit = Math.min(1000, Math.max(1, Number(req.query.limit) || 100));
+    const reports = Object.fromEntries(
+        loadedCohorts.map(({ name, cacheName, cache }) => [
+            name,
+            { lastRefresh: cache.lastRefresh?.at || null, ...dataQualityReport(cache, cacheName, { limit }) },
+        ])
+    );
+
+    res.json({
+        success: true,
+        generatedAt: new Date().toISOString(),
+        totalFindings: Object.values(reports).reduce((sum, r) => sum + r.totalFindings, 0),
+        cohorts: reports,
+    });
+});
+
+// =======================
+// 🔗 Duplicate Patients & Record Linkage
+// =======================
+const linkCohorts = {
+    historical: () => unifiedCache,
+    ongoing: () => unifiedCacheOngoing,
+};
+
+// Candidate duplicate pairs: ?cohort=historical|ongoing (default historical), ?minScore=0.7, ?limit=50
+app.get("/api/patient-links/candidates", (req, res) => {
+    const cohort = String(req.query.cohort || "historical").toLowerCase();
+    if (!linkCohorts[cohort]) {
+        return res.status(400).json({ success: false, error: "cohort must be historical or ongoing" });
+    }
+    const cache = linkCohorts[cohort]();
+    if (!cache.loaded) {
+        return res.status(503).json({ success: false, error: "Cache is still loading. Please wait...", loading: true });
+    }
+
+    const minScore = req.query.minScore === undefined ? undefined : Number(req.query.minScore);
+    if (minScore !== undefined && !(minScore >= 0 && minScore <= 1)) {
+        return res.status(400).json({ success: false, error: "minScore must be between 0 and 1" });
+    }
+    const limit = Math.min(500, Math.max(1, Number(req.query.limit) || 50));
+
+    const candidates = findDuplicateCandidates(cache, { minScore }).map((pair) => ({
+        ...pair,
+        linked: patientLinks.primaryId(cohort, pair.a.PATIENT_ID) === patientLinks.primaryId(cohort, pair.b.PATIENT_ID),
+    }));
+
+    res.json({
+        success: true,
+        cohort,
+        total: candidates.length,
+        candidates: candidates.slice(0, limit),
+    });
+});
+
+// Confirmed links: ?cohort= to list one cohort
+app.get("/api/patient-links", (req, res) => {
+    const cohorts = req.query.cohort ? [String(req.query.cohort).toLowerCase()] : Object.keys(linkCohorts);
+    if (cohorts.some((c) => !linkCohorts[c])) {
+        return res.status(400).json({ success: false, error: "cohort must be historical or ongoing" });
+    }
+    res.json({
+        success: true,
+        links: Object.fromEntries(cohorts.map((c) => [c, patientLinks.groupsFor(c)])),
+    });
+});
+
+// Confirm that records are the same woman: { cohort, patientIds: [..], primaryId?, note? }
+app.post("/api/patient-links", async (req, res) => {
+    const { cohort = "historical", patientIds, primaryId, note } = req.body || {};
+    const cohortName = String(cohort).toLowerCase();
+    if (!linkCohorts[cohortName]) {
+        return res.status(400).json({ success: false, error: "cohort must be historical or ongoing" });
+    }
+    const ids = Array.isArray(patientIds) ? [...new Set(patientIds.map(Number))] : [];
+    if (ids.length < 2 || ids.some((id) => !Number.isInteger(id))) {
+        return res.status(400).json({ success: false, error: "patientIds must list at least two patient IDs" });
+    }
+    if (primaryId !== undefined && !ids.includes(Number(primaryId))) {
+        return res.status(400).json({ success: false, error: "primaryId must be one of patientIds" });
+    }
+
+    const cache = linkCohorts[cohortName]();
+    if (cache.loaded) {
+        const unknown = ids.filter((id) => !cache.indexes.patientsById.has(id));
+        if (unknown.length) {
+            return res.status(404).json({ success: false, error: `Unknown ${cohortName} patient IDs: ${unknown.join(", ")}` });
+        }
+    }
+
+    try {
+        const group = await patientLinks.link(cohortName, ids, { primaryId, note });
+        console.log(`🔗 Linked ${cohortName} patients ${group.patientIds.join(", ")} (primary ${group.primaryId})`);
+        res.status(201).json({ success: true, cohort: cohortName, link: group });
+    } catch (err) {
+        console.error("❌ Error saving patient link:", err.message);
+        res.status(500).json({ success: false, error: "Failed to save the patient link", details: err.message });
+    }
+});
+
+// Undo a link for one record
+app.delete("/api/patient-links/:cohort/:id", async (req, res) => {
+    const cohort = String(req.params.cohort).toLowerCase();
+    if (!linkCohorts[cohort]) {
+        return res.status(400).json({ success: false, error: "cohort must be historical or ongoing" });
+    }
+    try {
+        const removed = await patientLinks.unlink(cohort, req.params.id);
+        if (!removed) {
+            return res.status(404).json({ success: false, error: `Patient ${req.params.id} is not linked` });
+        }
+        console.log(`🔗 Unlinked ${cohort} patient ${req.params.id}`);
+        res.json({ success: true, cohort, links: patientLinks.groupsFor(cohort) });
+    } catch (err) {
+        console.error("❌ Error saving patient link:", err.message);
+        res.status(500).json({ success: false, error: "Failed to remove the patient link", details: err.message });
+    }
+});
+
 // Manual reload
+// ?cache=hospital|ongoing|all (comma-separated, default all), ?full=true skips incremental loading
 app.get("/api/cache/reload", async (req, res) => {
+    const requested = String(req.query.cache || "all").toLowerCase().split(",").map((c) => c.trim());
+    const cacheNames = requested.includes("all") ? Object.keys(cacheLoaders) : requested;
+    const unknown = cacheNames.filter((name) => !cacheLoaders[name]);
+    if (unknown.length) {
+        return res.status(400).json({
+            message: `Unknown cache: ${unknown.join(", ")}`,
+            validCaches: [...Object.keys(cacheLoaders), "all"],
+        });
+    }
+
+    const full = req.query.full === "true";
+
     try {
-        await loadAllData();
-        res.json({ message: "Cache reload triggered", status: "success" });
+        const results = [];
+        for (const name of cacheNames) {
+            results.push(await cacheLoaders[name]({ full }));
+        }
+        const failed = results.some((r) => r.error);
+        res.status(failed ? 500 : 200).json({
+            message: failed ? "Reload failed" : "Cache reload triggered",
+            status: failed ? "error" : "success",
+            results,
+        });
     } catch (err) {
         res.status(500).json({ message: "Reload failed", error: err?.message || String(err) });
     }
@@ -247,33 +611,37 @@ app.get("/api/patientDetails/:id", (req, res) => {
 
     console.log(`🔍 Fetching patient ${patientId} from cache...`);
 
-    const patient = unifiedCache.patients.find((p) => Number(p.PATIENT_ID) === patientId);
-
-    if (!patient) {
+    if (!unifiedCache.indexes.patientsById.has(patientId)) {
         return res.status(404).json({ error: "Patient not found" });
     }
 
-    const visits = unifiedCache.visits.filter((v) => Number(v.PATIENT_ID) === patientId);
-    const deliveries = unifiedCache.deliveries.filter((d) => Number(d.PATIENT_ID) === patientId);
-
-    // ⭐️ This logic seems to find babies by delivery ID.
-    const deliveryIds = deliveries.map((d) => d.PATIENT_ID).filter((id) => id != null);
-    const babies = unifiedCache.babies.filter((b) => deliveryIds.includes(b.PATIENT_ID));
+    // Confirmed duplicates of this woman are shown as one person, under the primary record.
+    // ⭐️ Babies hang off the delivery they were born in, deliveries off their pregnancy
+    const { patient, records, visits, pregnancies, unlinkedBabies, unassignedVisits } = personRows(
+        unifiedCache.indexes,
+        patientLinks.linkedIds("historical", patientId)
+    );
+    const deliveries = pregnancies.flatMap((p) => p.deliveries);
+    const babies = deliveries.flatMap((d) => d.babies);
 
     const result = {
         patient: patient,
         visits,
         deliveries,
         babies,
+        pregnancies,
+        unlinkedBabies,
+        unassignedVisits,
+        linkedRecords: records.slice(1).map((r) => ({ PATIENT_ID: r.PATIENT_ID, SOURCE_SCHEMA: r.SOURCE_SCHEMA ?? null })),
         source: "cache",
     };
 
-    console.log(`✅ Patient data ready: ${visits.length} visits, ${deliveries.length} deliveries, ${babies.length} babies`);
+    console.log(`✅ Patient data ready: ${pregnancies.length} pregnancies, ${visits.length} visits, ${deliveries.length} deliveries, ${babies.length} babies`);
     res.json(result);
 });
 
 // Get patients list (for historical "Patient Details" page)
-app.get("/api/patients", (req, res) => {
+app.get("/api/patients", exportable, (req, res) => {
     if (!unifiedCache.loaded) {
         return res.status(503).json({
             error: "Cache is still loading. Please wait...",
@@ -281,22 +649,361 @@ app.get("/api/patients", (req, res) => {
         });
     }
 
-    // This just gets all patients. Your old code filtered by schema, but this seems simpler.
-    let patientList = unifiedCache.patients;
+    sendPatientList(req, res, unifiedCache);
+});
+
+// Without list options the plain array is returned, as before; with
+// page/pageSize/cursor, sort, fields or filters the paged envelope is returned.
+// Downloads stream the rows straight from the cache.
+function sendPatientList(req, res, cache) {
+    try {
+        if (res.locals.exportFormat) {
+            const { total, rows } = patientListRows(cache, req.query);
+            return sendExport(req, res, rows, { headers: { "X-Total-Count": String(total) } });
+        }
 
-    const formattedPatients = (patientList || []).map((patient) => ({
-        PATIENT_ID: patient.PATIENT_ID,
-        PATIENT_NAME: `${patient.FIRST_NAME || ""} ${patient.LAST_NAME || ""}`.trim() || "Unknown Name",
-    }));
+        const useEnvelope = wantsListEnvelope(req.query);
+        const result = queryPatientList(cache, req.query, { unpaged: !useEnvelope });
+
+        res.set("X-Total-Count", String(result.total));
+        res.json(useEnvelope ? { success: true, ...result } : result.patients);
+    } catch (err) {
+        if (err instanceof ListQueryError) {
+            return res.status(400).json({ success: false, error: err.message });
+        }
+        console.error("❌ Error listing patients:", err);
+        res.status(500).json({ success: false, error: "Failed to list patients" });
+    }
+}
+
+
+// =======================
+// 🗓️ Patient Timeline (visits, deliveries, babies and ongoing visits as one story)
+// =======================
+// ?cohort=historical|ongoing picks which cohort :id belongs to (default: historical, then ongoing).
+// Sends the error response and returns null when the patient can't be served.
+function findPatientCohort(req, res) {
+    const patientId = Number(req.params.id);
+    if (Number.isNaN(patientId)) {
+        res.status(400).json({ success: false, error: "Invalid patient id" });
+        return null;
+    }
+
+    const cohorts = [
+        { name: "historical", cache: unifiedCache },
+        { name: "ongoing", cache: unifiedCacheOngoing },
+    ];
+    const requested = req.query.cohort ? String(req.query.cohort).toLowerCase() : null;
+    if (requested && !cohorts.some((c) => c.name === requested)) {
+        res.status(400).json({ success: false, error: "cohort must be historical or ongoing" });
+        return null;
+    }
+
+    const searchable = cohorts.filter((c) => !requested || c.name === requested);
+    if (!searchable.some((c) => c.cache.loaded)) {
+        res.status(503).json({
+            success: false,
+            error: "Cache is still loading. Please try again in a few seconds.",
+            loading: true,
+        });
+        return null;
+    }
+
+    const home = searchable.find((c) => c.cache.loaded && c.cache.indexes.patientsById.has(patientId));
+    if (!home) {
+        res.status(404).json({ success: false, error: "Patient not found" });
+        return null;
+    }
+    return { patientId, home, cohorts };
+}
+
+app.get("/api/patients/:id/timeline", (req, res) => {
+    const found = findPatientCohort(req, res);
+    if (!found) return;
+    const { patientId, home, cohorts } = found;
+
+    // The same woman in every cohort: this record and its confirmed links,
+    // plus name + DOB matches elsewhere
+    const person = personRows(home.cache.indexes, patientLinks.linkedIds(home.name, patientId));
+    const patient = person.patient;
+    const keys = new Set(person.records.map(identityKey).filter(Boolean));
+
+    const sources = [{ cohort: home.name, patient, ...person }];
+    cohorts.forEach(({ name, cache }) => {
+        if (!cache.loaded || name === home.name) return;
+        const records = new Set([...keys].flatMap((key) => cache.indexes.patientsByIdentity.get(key) || []));
+        records.forEach((record) => {
+            const id = Number(record.PATIENT_ID);
+            sources.push({
+                cohort: name,
+                patient: record,
+                ...cache.indexes.pregnanciesByPatient.get(id),
+            });
+        });
+    });
+
+    const events = buildTimeline(sources);
+
+    res.json({
+        success: true,
+        patient,
+        cohort: home.name,
+        linkedRecords: [
+            ...person.records.slice(1).map((r) => ({ cohort: home.name, PATIENT_ID: r.PATIENT_ID })),
+            ...sources.slice(1).map((s) => ({ cohort: s.cohort, PATIENT_ID: s.patient.PATIENT_ID })),
+        ],
+        totalEvents: events.length,
+        events,
+    });
+});
+
+
+// =======================
+// 📐 Visit Deviations (each visit against the reference curves)
+// =======================
+// ?cohort=historical|ongoing as for the timeline. ?band=10-90 (percentiles)
+// or ?zLimit=2 sets when a value is flagged; ?driftVisits / ?driftZ tune
+// drift detection. Reference strata take the /api/reference-curves
+// parameters (ageBand, parity, bmiStatus, address, deliveryType, ...).
+app.get("/api/patients/:id/deviations", (req, res) => {
+    const found = findPatientCohort(req, res);
+    if (!found) return;
+    const { patientId, home } = found;
+
+    // The reference is always the delivered (hospital) cohort
+    if (!unifiedCache.loaded) {
+        return cacheLoadingResponse(res);
+    }
+
+    try {
+        const options = parseDeviationOptions(req.query);
+        const { cohort, ...stratumParams } = req.query;
+        const stratum = parseStratum(stratumParams);
+        const linkedIds = patientLinks.linkedIds(home.name, patientId);
+        // A delivered patient isn't scored against curves built from her own visits
+        const { patients, visits, curves } = referenceCurves(unifiedCache, stratum, {
+            excludePatientIds: home.name === "historical" ? linkedIds : [],
+        });
+
+        const person = personRows(home.cache.indexes, linkedIds);
+        const pregnancies = person.pregnancies.map((pregnancy) => ({
+            pregnancyKey: pregnancy.pregnancyKey,
+            status: pregnancy.status,
+            deliveryDate: pregnancy.deliveryDate ?? null,
+            ...scorePregnancy(pregnancy.visits, curves, options),
+        }));
+        // Visits not tied to a pregnancy can't form a trajectory
+        const unassignedVisits = scorePregnancy(person.unassignedVisits, curves, options).visits;
+
+        const scoredVisits = [...pregnancies.flatMap((p) => p.visits), ...unassignedVisits];
+        res.json({
+            success: true,
+            patient: person.patient,
+            cohort: home.name,
+            reference: { stratum: describeStratum(stratum), sampleSize: { patients, visits } },
+            options,
+            summary: {
+                visits: scoredVisits.length,
+                flaggedValues: scoredVisits.reduce((sum, v) => sum + v.flagged.length, 0),
+                drifts: pregnancies.reduce((sum, p) => sum + p.drifts.length, 0),
+            },
+            pregnancies,
+            unassignedVisits,
+        });
+    } catch (err) {
+        if (err instanceof AnalyticsQueryError) {
+            return res.status(400).json({ success: false, error: err.message });
+        }
+        console.error("❌ Error scoring visit deviations:", err.message);
+        res.status(500).json({ success: false, error: "Failed to score visits", details: err.message });
+    }
+});
+
+
+// =======================
+// 🗓️ Antenatal Contact Schedule (ongoing patients)
+// =======================
+// Every endpoint takes ?schedule=12,20,26,... (gestational weeks) and
+// ?graceWeeks (how long an unattended contact stays "overdue" before it
+// counts as missed); ?days sets the look-ahead for upcoming contacts.
+
+// Visits of the current pregnancy, with confirmed duplicate records merged
+function ongoingPregnancyVisits(patientId) {
+    const person = personRows(unifiedCacheOngoing.indexes, patientLinks.linkedIds("ongoing", patientId));
+    const open = person.pregnancies.filter((p) => p.status === "ongoing").pop();
+    return open ? open.visits : person.visits;
+}
+
+// Linked records are one person under the primary record: null for the
+// others, else { ids, visits of the current pregnancy }
+function ongoingPerson(patient) {
+    const id = Number(patient.PATIENT_ID);
+    if (patientLinks.primaryId("ongoing", id) !== id) return null;
+    return { ids: patientLinks.linkedIds("ongoing", id), visits: ongoingPregnancyVisits(id) };
+}
+
+function ancClinicOf(patient, visits) {
+    if (ANC_CLINIC_COLUMN) {
+        const latest = [...visits].reverse().find((v) => v[ANC_CLINIC_COLUMN]);
+        const clinic = latest?.[ANC_CLINIC_COLUMN] ?? patient[ANC_CLINIC_COLUMN];
+        if (clinic) return String(clinic).trim();
+    }
+    const district = gazetteer.ancestor(gazetteer.resolve(patient.ADDRESS).region, "district");
+    return district ? district.name : (String(patient.ADDRESS ?? "").trim() || null);
+}
+
+// Sends the error response and returns null when schedules can't be built
+function ancSchedules(req, res) {
+    if (!unifiedCacheOngoing.loaded) {
+        cacheLoadingResponse(res);
+        return null;
+    }
+    try {
+        const options = parseScheduleOptions(req.query, { schedule: ANC_SCHEDULE });
+        const { schedules, undated } = ongoingSchedules(unifiedCacheOngoing, {
+            ...options,
+            personOf: ongoingPerson,
+            clinicOf: ancClinicOf,
+        });
+        return { options, schedules, undated };
+    } catch (err) {
+        if (err instanceof AnalyticsQueryError) {
+            res.status(400).json({ success: false, error: err.message });
+        } else {
+            console.error("❌ Error building ANC schedules:", err.message);
+            res.status(500).json({ success: false, error: "Failed to build antenatal schedules", details: err.message });
+        }
+        return null;
+    }
+}
+
+app.get("/api/anc/upcoming", exportable, (req, res) => {
+    const result = ancSchedules(req, res);
+    if (!result) return;
+    const contacts = upcomingContacts(result.schedules, result.options);
+    sendJsonOrExport(req, res, { success: true, days: result.options.days, schedule: result.options.schedule, total: contacts.length, contacts });
+});
+
+app.get("/api/anc/overdue", exportable, (req, res) => {
+    const result = ancSchedules(req, res);
+    if (!result) return;
+    const patients = overduePatients(result.schedules);
+    sendJsonOrExport(req, res, {
+        success: true,
+        schedule: result.options.schedule,
+        graceWeeks: result.options.graceWeeks,
+        total: patients.length,
+        patients,
+        undatedPatients: result.undated,
+    });
+});
+
+app.get("/api/anc/adherence", exportable, (req, res) => {
+    const result = ancSchedules(req, res);
+    if (!result) return;
+    sendJsonOrExport(req, res, {
+        success: true,
+        schedule: result.options.schedule,
+        graceWeeks: result.options.graceWeeks,
+        clinicSource: ANC_CLINIC_COLUMN || "district",
+        clinics: clinicAdherence(result.schedules, result.options),
+        undatedPatients: result.undated,
+    });
+});
+
+app.get("/api/ongoing-patients/:id/anc-schedule", (req, res) => {
+    const patientId = Number(req.params.id);
+    if (Number.isNaN(patientId)) {
+        return res.status(400).json({ success: false, error: "Invalid patient id" });
+    }
+    if (!unifiedCacheOngoing.loaded) {
+        return cacheLoadingResponse(res);
+    }
+    const patient = unifiedCacheOngoing.indexes.patientsById.get(patientId);
+    if (!patient) {
+        return res.status(404).json({ success: false, error: "Patient not found" });
+    }
+
+    try {
+        const options = parseScheduleOptions(req.query, { schedule: ANC_SCHEDULE });
+        const visits = ongoingPregnancyVisits(patientId);
+        const schedule = buildSchedule(visits, options);
+        if (!schedule) {
+            return res.status(422).json({ success: false, error: "No visit with a gestational age to date this pregnancy from" });
+        }
+        res.json({ success: true, patient, clinic: ancClinicOf(patient, visits), schedule: options.schedule, ...schedule });
+    } catch (err) {
+        if (err instanceof AnalyticsQueryError) {
+            return res.status(400).json({ success: false, error: err.message });
+        }
+        console.error("❌ Error building ANC schedule:", err.message);
+        res.status(500).json({ success: false, error: "Failed to build antenatal schedule", details: err.message });
+    }
+});
+
+
+// =======================
+// 🚨 High-Risk Worklist (ongoing patients)
+// =======================
+// Every ongoing patient scored like /api/ai/ongoing-progression (the shared
+// scorer in utils/riskScoring.js), ranked.
+// Filters: ?riskLevel=high,moderate ?factor=anemia,hypertension,growth,
+// age,bmi (leading factor) ?minScore ?maxWeeksToTerm, plus the
+// analytics patient filters (address, ageBand, bmiStatus, parity, ...).
+// Paged like the patient lists (?page/?pageSize or ?cursor).
+
+function worklistScoring() {
+    return {
+        version: patientLinks.version,
+        personOf: ongoingPerson,
+    };
+}
+
+// Score right after a reload so the first worklist request doesn't pay for it
+function warmRiskWorklist() {
+    try {
+        const { scored, unscored } = ongoingRiskScores(unifiedCacheOngoing, worklistScoring());
+        const high = scored.filter((row) => row.risk.level === "high").length;
+        console.log(`🚨 Risk worklist scored: ${scored.length} patients (${high} high risk, ${unscored} without a dated visit)`);
+    } catch (err) {
+        console.error("❌ Error scoring risk worklist:", err.message);
+    }
+}
 
-    res.json(formattedPatients);
+app.get("/api/ongoing-patients/risk-worklist", exportable, (req, res) => {
+    if (!unifiedCacheOngoing.loaded) {
+        return cacheLoadingResponse(res);
+    }
+    try {
+        const options = parseWorklistOptions(req.query);
+        const { scoredAt, unscored, levels, entries } = riskWorklist(unifiedCacheOngoing, options, worklistScoring());
+        if (res.locals.exportFormat) {
+            return sendExport(req, res, asksForPage(req.query) ? paginate(entries, req.query).items : entries);
+        }
+        const { items, ...paging } = paginate(entries, req.query);
+        res.json({
+            success: true,
+            filters: describeWorklistOptions(options),
+            scoredAt,
+            levels,
+            unscoredPatients: unscored,
+            ...paging,
+            patients: items,
+        });
+    } catch (err) {
+        if (err instanceof AnalyticsQueryError || err instanceof ListQueryError) {
+            return res.status(400).json({ success: false, error: err.message });
+        }
+        console.error("❌ Error building risk worklist:", err.message);
+        res.status(500).json({ success: false, error: "Failed to build risk worklist", details: err.message });
+    }
 });
 
 
 // =======================
 // 🩺 Ongoing Patients List (for "Ongoing Visits" page)
 // =======================
-app.get("/api/ongoing-patients", (req, res) => {
+app.get("/api/ongoing-patients", exportable, (req, res) => {
     if (!unifiedCacheOngoing.loaded) {
         return res.status(503).json({
             error: "Ongoing patients cache is still loading. Please wait...",
@@ -304,17 +1011,8 @@ app.get("/api/ongoing-patients", (req, res) => {
         });
     }
 
-    const patientList = unifiedCacheOngoing.patients;
-    console.log(`✅ Returning all ongoing patients (${patientList.length})`);
-
-    // 🧩 Format the response
-    const formattedPatients = patientList.map((p) => ({
-        PATIENT_ID: p.PATIENT_ID,
-        PATIENT_NAME:
-            `${p.FIRST_NAME || ""} ${p.LAST_NAME || ""}`.trim() || "Unknown Name",
-    }));
-
-    res.json(formattedPatients);
+    console.log(`✅ Returning ongoing patients (${unifiedCacheOngoing.patients.length} total)`);
+    sendPatientList(req, res, unifiedCacheOngoing);
 });
 
 
@@ -335,16 +1033,14 @@ app.get("/api/ongoing-patientDetails/:id", (req, res) => {
     }
 
     // 🔍 Find patient
-    const patient = unifiedCacheOngoing.patients.find(
-        (p) => Number(p.PATIENT_ID) === patientId
-    );
-    if (!patient) {
+    if (!unifiedCacheOngoing.indexes.patientsById.has(patientId)) {
         return res.status(404).json({ error: `No ongoing patient found with ID ${patientId}` });
     }
 
-    // 🔍 Find visits linked to this patient
-    const visits = unifiedCacheOngoing.visits.filter(
-        (v) => Number(v.PATIENT_ID) === patientId
+    // 🔍 Find visits of this patient and of any record confirmed as the same woman
+    const { patient, records, visits } = personRows(
+        unifiedCacheOngoing.indexes,
+        patientLinks.linkedIds("ongoing", patientId)
     );
 
     // 🧩 Structure response
@@ -354,6 +1050,7 @@ app.get("/api/ongoing-patientDetails/:id", (req, res) => {
         // Add empty arrays so the React app doesn't crash
         deliveries: [],
         babies: [],
+        linkedRecords: records.slice(1).map((r) => ({ PATIENT_ID: r.PATIENT_ID })),
         message: `✅ Found ${visits.length} visits for ongoing patient ID ${patientId}`,
     };
 
@@ -362,140 +1059,392 @@ app.get("/api/ongoing-patientDetails/:id", (req, res) => {
 
 
 // =======================
-// 🩺 Home Page KPI Summary
+// 🩺 Record a new antenatal visit for an ongoing patient
 // =======================
-app.get("/api/home-summary", (req, res) => {
-    console.log("📊 Home summary requested - Cache status:", {
-        main: unifiedCache.loaded,
-        ongoing: unifiedCacheOngoing.loaded
-    });
+app.post("/api/ongoing-patients/:id/visits", async (req, res) => {
+    if (!unifiedCacheOngoing.loaded) {
+        return res.status(503).json({
+            success: false,
+            error: "Ongoing patients cache is still loading. Please wait...",
+            loading: true,
+        });
+    }
+
+    const patientId = Number(req.params.id);
+    if (!patientId) {
+        return res.status(400).json({ success: false, error: "Invalid or missing patient ID" });
+    }
+    if (!unifiedCacheOngoing.indexes.patientsById.has(patientId)) {
+        return res.status(404).json({ success: false, error: `No ongoing patient found with ID ${patientId}` });
+    }
+
+    let visit;
+    try {
+        visit = validateVisit(patientId, req.body || {});
+    } catch (err) {
+        if (err instanceof ValidationError) {
+            return res.status(400).json({ success: false, error: err.message, errors: err.errors });
+        }
+        throw err;
+    }
 
+    try {
+        const stored = await dataSource.insertRow("ongoing", "visits", visit);
+        // ⭐️ Visible immediately, without waiting for the next scheduled refresh
+        applyCacheChanges(unifiedCacheOngoing, "ongoing", { visits: [stored] });
+
+        const visitCount = (unifiedCacheOngoing.indexes.visitsByPatient.get(patientId) || []).length;
+        console.log(`✅ Recorded visit for ongoing patient ${patientId} (${visitCount} visits)`);
+        res.status(201).json({ success: true, visit: stored, visitCount });
+    } catch (err) {
+        console.error(`❌ Failed to record visit for ongoing patient ${patientId}:`, err.message);
+        res.status(502).json({ success: false, error: "Could not save the visit to the data source" });
+    }
+});
+
+
+// =======================
+// 👶 Record a delivery: moves an ongoing patient into the delivered cohort
+// =======================
+app.post("/api/ongoing-patients/:id/delivery", async (req, res) => {
     if (!unifiedCache.loaded || !unifiedCacheOngoing.loaded) {
-        console.log("❌ Cache not ready yet");
         return res.status(503).json({
             success: false,
             error: "Cache is still loading. Please wait...",
             loading: true,
-            cacheStatus: {
-                main: unifiedCache.loaded,
-                ongoing: unifiedCacheOngoing.loaded
-            }
         });
     }
 
+    const patientId = Number(req.params.id);
+    if (!patientId) {
+        return res.status(400).json({ success: false, error: "Invalid or missing patient ID" });
+    }
+    if (!unifiedCacheOngoing.indexes.patientsById.has(patientId)) {
+        return res.status(404).json({ success: false, error: `No ongoing patient found with ID ${patientId}` });
+    }
+
+    // Every record confirmed as the same woman moves with her, under the primary record
+    const ongoingIds = patientLinks.linkedIds("ongoing", patientId)
+        .filter((id) => unifiedCacheOngoing.indexes.patientsById.has(id));
+    const ongoingPatient = unifiedCacheOngoing.indexes.patientsById.get(ongoingIds[0]);
+    const ongoingVisits = rowsForPatients(unifiedCacheOngoing.indexes.visitsByPatient, ongoingIds);
+    const lastVisitDate = ongoingVisits
+        .map((v) => (v.VISIT_DATE ? String(v.VISIT_DATE).slice(0, 10) : null))
+        .filter(Boolean)
+        .sort()
+        .pop();
+
+    let plan;
     try {
-        // Safely access cache data with fallbacks
-        const hospitalPatients = unifiedCache.patients || [];
-        const ongoingPatients = unifiedCacheOngoing.patients || [];
-        const deliveries = unifiedCache.deliveries || [];
-        const babies = unifiedCache.babies || [];
-        const hospitalVisits = unifiedCache.visits || [];
-        const ongoingVisits = unifiedCacheOngoing.visits || [];
-
-        console.log("📈 Data counts:", {
-            hospitalPatients: hospitalPatients.length,
-            ongoingPatients: ongoingPatients.length,
-            deliveries: deliveries.length,
-            babies: babies.length
+        const { delivery, babies } = validateDelivery(req.body || {}, { lastVisitDate });
+        plan = planDeliveryPromotion({
+            ongoingPatient,
+            ongoingVisits,
+            hospitalIndexes: unifiedCache.indexes,
+            delivery,
+            babies,
+            sourceSchema: req.body?.sourceSchema,
         });
+    } catch (err) {
+        if (err instanceof ValidationError) {
+            return res.status(400).json({ success: false, error: err.message, errors: err.errors });
+        }
+        if (err instanceof LifecycleConflictError) {
+            return res.status(409).json({ success: false, error: err.message });
+        }
+        throw err;
+    }
 
-        // Calculate metrics
-        const totalHospitalPatients = hospitalPatients.length;
-        const totalOngoingPatients = ongoingPatients.length;
-        const totalPatients = totalHospitalPatients + totalOngoingPatients;
-        
-        // Calculate delivery types
-        let normalDeliveryCount = 0;
-        let cSectionDeliveryCount = 0;
-        
-        deliveries.forEach(delivery => {
-            const mode = delivery.DELIVERY_MODE?.toLowerCase();
-            if (mode) {
-                if (mode.includes('vaginal') || mode.includes('normal')) {
-                    normalDeliveryCount++;
-                } else if (mode.includes('c-section') || mode.includes('cesarean') || mode.includes('c_section')) {
-                    cSectionDeliveryCount++;
-                }
+    // Hospital rows first: if anything fails here the patient is still ongoing.
+    // The delivery goes first so that a retry recognises the earlier attempt
+    // and only writes what is missing (see utils/patientLifecycle.js).
+    const written = { deliveries: [], patients: [], babies: [], visits: [] };
+    try {
+        for (const tableName of Object.keys(written)) {
+            for (const row of plan.pending[tableName]) {
+                await dataSource.insertRow("hospital", tableName, row);
+                written[tableName].push(row);
             }
+        }
+    } catch (err) {
+        applyCacheChanges(unifiedCache, "hospital", written);
+        console.error(`❌ Failed to record delivery for ongoing patient ${patientId}:`, err.message);
+        return res.status(502).json({
+            success: false,
+            error: "Could not save the delivery to the data source. Send the same delivery again to finish recording it; rows already saved are not written twice.",
         });
-        
-        const totalDeliveries = normalDeliveryCount + cSectionDeliveryCount;
-        const totalBabies = babies.length;
-        
-        // Calculate today's appointments
-        const today = new Date().toDateString();
-        const todaysAppointments = 
-            hospitalVisits.filter(v => v.VISIT_DATE && new Date(v.VISIT_DATE).toDateString() === today).length +
-            ongoingVisits.filter(v => v.VISIT_DATE && new Date(v.VISIT_DATE).toDateString() === today).length;
-        
-        // Calculate delivery types from babies data or deliveries data
-        let maturedCount = 0;
-        let prematureCount = 0;
-        let mortalityCount = 0;
-
-        // Calculate from babies data
-        babies.forEach(baby => {
-            // Assuming SOURCE_SCHEMA indicates the delivery type
-            if (baby.SOURCE_SCHEMA === 'MATURED') {
-                maturedCount++;
-            } else if (baby.SOURCE_SCHEMA === 'PREMATURE') {
-                prematureCount++;
-            } 
-        });
+    }
+    applyCacheChanges(unifiedCache, "hospital", written);
 
-         // Calculate mortality from patients data
-        hospitalPatients.forEach(patient => {
-            if (patient.SOURCE_SCHEMA === 'MORTALITY') {
-                mortalityCount++;
-            }
-        });
+    let warning = null;
+    try {
+        for (const id of ongoingIds) {
+            await dataSource.deleteRows("ongoing", "visits", "PATIENT_ID", id);
+            await dataSource.deleteRows("ongoing", "patients", "PATIENT_ID", id);
+        }
+        const isThisPatient = (row) => ongoingIds.includes(Number(row.PATIENT_ID));
+        applyCacheChanges(unifiedCacheOngoing, "ongoing", {}, { remove: { visits: isThisPatient, patients: isThisPatient } });
+        // The records are gone, so is the link between them
+        if (ongoingIds.length > 1) await patientLinks.removeGroup("ongoing", patientId);
+    } catch (err) {
+        console.error(`❌ Delivery recorded but ongoing patient ${patientId} could not be removed:`, err.message);
+        warning = "Delivery recorded, but the patient is still listed as ongoing until the ongoing records are removed.";
+    }
+
+    console.log(`👶 Ongoing patient ${ongoingIds.join(", ")} delivered → hospital patient ${plan.hospitalPatientId} (${plan.sourceSchema})`);
+    res.status(201).json({
+        success: true,
+        ongoingPatientId: patientId,
+        ...(ongoingIds.length > 1 ? { ongoingLinkedIds: ongoingIds } : {}),
+        hospitalPatientId: plan.hospitalPatientId,
+        linkedToExisting: plan.linkedToExisting,
+        resumed: plan.resumed,
+        sourceSchema: plan.sourceSchema,
+        delivery: plan.rows.deliveries[0],
+        babies: plan.rows.babies,
+        visitsMoved: plan.rows.visits.length,
+        warning,
+    });
+});
+
+
+// =======================
+// 🩺 Home Page KPI Summary
+// =======================
+// Both summary endpoints take the analytics filters (see utils/analytics.js)
+// as query parameters: cohort, address, from, to, ageBand, bmiStatus,
+// gravida, parity, sourceSchema
+function analyticsCaches() {
+    return { historical: unifiedCache, ongoing: unifiedCacheOngoing };
+}
+
+function cacheLoadingResponse(res) {
+    return res.status(503).json({
+        success: false,
+        error: "Cache is still loading. Please wait...",
+        loading: true,
+        cacheStatus: {
+            main: unifiedCache.loaded,
+            ongoing: unifiedCacheOngoing.loaded,
+            connection: dataSource.status().state
+        }
+    });
+}
 
-        const totalBabiesWithType = maturedCount + prematureCount + mortalityCount;
-        const maturedRate = totalBabiesWithType > 0 ? Math.round((maturedCount / totalBabiesWithType) * 100) : 0;
-        const prematureRate = totalBabiesWithType > 0 ? Math.round((prematureCount / totalBabiesWithType) * 100) : 0;
-        const mortalityRate = totalBabiesWithType > 0 ? Math.round((mortalityCount / totalBabiesWithType) * 100) : 0;
+function sendHomeSummary(req, res, { route, extra = () => ({}) }) {
+    if (!unifiedCache.loaded || !unifiedCacheOngoing.loaded) {
+        console.log("❌ Cache not ready yet");
+        return cacheLoadingResponse(res);
+    }
 
+    try {
+        const filters = parseAnalyticsFilters(req.query);
+        const selection = filterCohorts(analyticsCaches(), filters);
+        // Records confirmed as the same woman count once
         const summary = {
             success: true,
-            // Core Metrics
-            totalPatients: totalPatients,
-            activePregnancies: totalOngoingPatients,
-            historicalPatients: totalHospitalPatients,
-            
-            // Delivery Analytics
-            normalDeliveryCount: normalDeliveryCount,
-            cSectionDeliveryCount: cSectionDeliveryCount,
-            totalDeliveries: totalDeliveries,
-            totalBabies: totalBabies,
-            
-            // Daily Operations
-            todaysAppointments: todaysAppointments,
-            
-            // Calculated Ratios
-            normalDeliveryRate: totalDeliveries > 0 ? Math.round((normalDeliveryCount / totalDeliveries) * 100) : 0,
-            cSectionRate: totalDeliveries > 0 ? Math.round((cSectionDeliveryCount / totalDeliveries) * 100) : 0,
-
-            // Delivery Types - Add this to your response
-            deliveryTypes: {
-                matured: maturedRate,
-                premature: prematureRate,
-                mortality: mortalityRate,
-                maturedCount: maturedCount,
-                prematureCount: prematureCount,
-                mortalityCount: mortalityCount
-            }
+            ...summarize(selection, { countPersons: (cohort, patients) => patientLinks.countPersons(cohort, patients) }),
+            ...(hasAnalyticsFilters(req.query) ? { filters: describeFilters(filters) } : {}),
+            ...extra(selection),
         };
 
-        console.log("✅ Home Summary Generated:", summary);
-        res.json(summary);
-        
+        console.log(`✅ ${route} generated: ${summary.totalPatients} patients, ${summary.totalDeliveries} deliveries`);
+        sendJsonOrExport(req, res, summary);
     } catch (err) {
-        console.error("❌ Error in /api/home-summary:", err.message);
-        res.status(500).json({ 
+        if (err instanceof AnalyticsQueryError) {
+            return res.status(400).json({ success: false, error: err.message });
+        }
+        console.error(`❌ Error in ${route}:`, err.message);
+        res.status(500).json({
             success: false,
             error: "Failed to generate summary from cache",
-            details: err.message 
+            details: err.message
+        });
+    }
+}
+
+app.get("/api/home-summary", exportable, (req, res) => {
+    console.log("📊 Home summary requested - Cache status:", {
+        main: unifiedCache.loaded,
+        ongoing: unifiedCacheOngoing.loaded
+    });
+    sendHomeSummary(req, res, { route: "/api/home-summary" });
+});
+
+app.get("/api/analytics/summary", exportable, (req, res) => {
+    sendHomeSummary(req, res, { route: "/api/analytics/summary" });
+});
+
+
+// =======================
+// 📈 Delivery Outcome Trends
+// =======================
+// ?granularity=month|quarter|year, ?window=<periods> for the rolling average,
+// ?metrics=deliveries,cSectionRate,... plus the analytics filters
+app.get("/api/analytics/trends", exportable, (req, res) => {
+    if (!unifiedCache.loaded) {
+        return cacheLoadingResponse(res);
+    }
+
+    try {
+        const filters = parseAnalyticsFilters(req.query);
+        const options = parseTrendOptions(req.query);
+        const selection = filterCohorts(analyticsCaches(), filters);
+        const trends = buildTrends(selection, { ...options, from: filters.from, to: filters.to });
+
+        sendJsonOrExport(req, res, { success: true, ...trends, filters: describeFilters(filters) }, trendTable);
+    } catch (err) {
+        if (err instanceof AnalyticsQueryError) {
+            return res.status(400).json({ success: false, error: err.message });
+        }
+        console.error("❌ Error in /api/analytics/trends:", err.message);
+        res.status(500).json({ success: false, error: "Failed to build trends", details: err.message });
+    }
+});
+
+
+// =======================
+// ⚖️ Cohort Comparison
+// =======================
+// Body: { a: { label?, ...filters }, b: { label?, ...filters }, confidence? }
+// e.g. { "a": { "label": "Not anaemic", "anaemia": "no" }, "b": { "label": "Anaemic", "anaemia": "yes" } }
+app.post("/api/analytics/compare", exportable, (req, res) => {
+    if (!unifiedCache.loaded) {
+        return cacheLoadingResponse(res);
+    }
+
+    try {
+        const comparison = parseComparison(req.body || {});
+        sendJsonOrExport(req, res, { success: true, ...compareCohorts(analyticsCaches(), comparison) }, comparisonTable);
+    } catch (err) {
+        if (err instanceof AnalyticsQueryError) {
+            return res.status(400).json({ success: false, error: err.message });
+        }
+        console.error("❌ Error in /api/analytics/compare:", err.message);
+        res.status(500).json({ success: false, error: "Failed to compare cohorts", details: err.message });
+    }
+});
+
+
+// =======================
+// 🗺️ Outcomes by Region
+// =======================
+// ?level=state|district|locality (default district) plus the analytics
+// filters; ?format=geojson returns a GeoJSON FeatureCollection for maps
+app.get("/api/analytics/geo", exportable, (req, res) => {
+    if (!unifiedCache.loaded || !unifiedCacheOngoing.loaded) {
+        return cacheLoadingResponse(res);
+    }
+
+    try {
+        const filters = parseAnalyticsFilters(req.query);
+        const { level } = parseGeoOptions(req.query);
+        const selection = filterCohorts(analyticsCaches(), filters);
+        const result = aggregateByRegion(selection, gazetteer, {
+            level,
+            countPersons: (cohort, patients) => patientLinks.countPersons(cohort, patients),
+        });
+
+        if (String(req.query.format || "").toLowerCase() === "geojson") {
+            res.type("application/geo+json");
+            return res.send(JSON.stringify({ ...toFeatureCollection(result), filters: describeFilters(filters) }));
+        }
+        sendJsonOrExport(req, res, { success: true, ...result, filters: describeFilters(filters) });
+    } catch (err) {
+        if (err instanceof AnalyticsQueryError) {
+            return res.status(400).json({ success: false, error: err.message });
+        }
+        console.error("❌ Error in /api/analytics/geo:", err.message);
+        res.status(500).json({ success: false, error: "Failed to aggregate by region", details: err.message });
+    }
+});
+
+
+// =======================
+// 👶 Neonatal Outcomes
+// =======================
+// Size for gestational age (SGA/AGA/LGA), APGAR, NICU admissions and the
+// top neonatal complications, overall and by delivery mode and maternal risk
+// factor. Takes the analytics filters (hospital cohort), ?top for the number
+// of complications listed and ?minSamples for the birth weight reference.
+app.get("/api/analytics/neonatal", exportable, (req, res) => {
+    if (!unifiedCache.loaded) {
+        return cacheLoadingResponse(res);
+    }
+
+    try {
+        const options = parseNeonatalOptions(req.query);
+        const reference = birthWeightReference(unifiedCache, options);
+        const selection = filterCohorts(analyticsCaches(), options.filters);
+        sendJsonOrExport(req, res, {
+            success: true,
+            filters: describeFilters(options.filters),
+            ...neonatalOutcomes(selection, unifiedCache.indexes, { reference, top: options.top }),
+            birthWeightReference: [...reference.values()].sort((a, b) => a.week - b.week),
+        }, neonatalTable);
+    } catch (err) {
+        if (err instanceof AnalyticsQueryError) {
+            return res.status(400).json({ success: false, error: err.message });
+        }
+        console.error("❌ Error in /api/analytics/neonatal:", err.message);
+        res.status(500).json({ success: false, error: "Failed to build neonatal outcomes", details: err.message });
+    }
+});
+
+
+// =======================
+// 🛏️ Length of Stay & Bed Occupancy Forecast
+// =======================
+// /length-of-stay: stays by delivery mode, with and without complications,
+// and per complication (analytics filters, hospital cohort; ?top).
+// /capacity-forecast: daily bed occupancy and deliveries / C-sections for
+// the next ?horizonDays (default 28) from the ongoing pregnancies, with
+// ?confidence ranges (default 0.8) over ?simulations runs. The analytics
+// filters select both the past deliveries and the current pregnancies.
+app.get("/api/analytics/length-of-stay", exportable, (req, res) => {
+    if (!unifiedCache.loaded) {
+        return cacheLoadingResponse(res);
+    }
+
+    try {
+        const options = parseLengthOfStayOptions(req.query);
+        const { deliveries } = filterCohorts(analyticsCaches(), options.filters).historical;
+        const model = deliveryModel(deliveries, options);
+        sendJsonOrExport(req, res, { success: true, filters: describeFilters(options.filters), ...describeLengthOfStay(model, options) }, (body) => body.groups);
+    } catch (err) {
+        if (err instanceof AnalyticsQueryError) {
+            return res.status(400).json({ success: false, error: err.message });
+        }
+        console.error("❌ Error in /api/analytics/length-of-stay:", err.message);
+        res.status(500).json({ success: false, error: "Failed to model length of stay", details: err.message });
+    }
+});
+
+app.get("/api/analytics/capacity-forecast", exportable, (req, res) => {
+    if (!unifiedCache.loaded || !unifiedCacheOngoing.loaded) {
+        return cacheLoadingResponse(res);
+    }
+
+    try {
+        const options = parseForecastOptions(req.query);
+        const forecast = capacityForecast(analyticsCaches(), options, {
+            personOf: ongoingPerson,
+            version: patientLinks.version,
         });
+        if (!forecast) {
+            return res.status(422).json({
+                success: false,
+                error: "No past deliveries with a length of stay and gestational age to learn from",
+            });
+        }
+
+        sendJsonOrExport(req, res, { success: true, filters: describeFilters(options.filters), ...forecast });
+    } catch (err) {
+        if (err instanceof AnalyticsQueryError) {
+            return res.status(400).json({ success: false, error: err.message });
+        }
+        console.error("❌ Error in /api/analytics/capacity-forecast:", err.message);
+        res.status(500).json({ success: false, error: "Failed to forecast capacity", details: err.message });
     }
 });
 
@@ -503,118 +1452,60 @@ app.get("/api/home-summary", (req, res) => {
 // =======================
 // 🩺 Reference Averages Endpoint
 // =======================
+// Reference curves come from the hospital cache: percentiles (P10-P90), the
+// mean and the sample size per gestational week. Stratify with deliveryType
+// (SOURCE_SCHEMA), deliveryMode and the analytics filters (ageBand, parity,
+// bmiStatus, address, ...); minSamples sets when sparse weeks are smoothed.
+function sendReferenceCurves(req, res, params) {
+  if (!unifiedCache.loaded) {
+    return cacheLoadingResponse(res);
+  }
 
-app.post("/api/reference-averages", async (req, res) => {
   try {
-    const { deliveryType, deliveryMode } = req.body;
+    const stratum = parseStratum(params);
+    const { patients, visits, curves } = referenceCurves(unifiedCache, stratum);
 
-    if (!deliveryType || !deliveryMode) {
-      return res.status(400).json({
-        success: false,
-        error: "Missing deliveryType or deliveryMode in request body.",
-      });
-    }
-
-    console.log(`📊 Fetching averages for ${deliveryType} + ${deliveryMode}`);
-
-    // FIXED: Use parameterized query correctly
-    const sql = `
-      SELECT
-        V.GESTATIONAL_AGE_WEEKS,
-        ROUND(AVG(V.MATERNAL_WEIGHT), 2) AS AVG_WEIGHT,
-        ROUND(AVG(V.FUNDAL_HEIGHT), 2) AS AVG_FUNDAL,
-        ROUND(AVG(V.HEMOGLOBIN_LEVEL), 2) AS AVG_HB,
-        ROUND(AVG(TRY_CAST(SPLIT_PART(V.BLOOD_PRESSURE, '/', 1) AS FLOAT))) AS AVG_SYSTOLIC,
-        ROUND(AVG(TRY_CAST(SPLIT_PART(V.BLOOD_PRESSURE, '/', 2) AS FLOAT))) AS AVG_DIASTOLIC,
-        ROUND(AVG(V.FETAL_HEART_RATE), 2) AS AVG_FHR
-      FROM HEAL.HOSPITAL_VIEW.UNIFIED_VISITS_VIEW V
-      JOIN HEAL.HOSPITAL_VIEW.UNIFIED_DELIVERIES_VIEW D
-        ON V.PATIENT_ID = D.PATIENT_ID
-      WHERE 
-        LOWER(D.SOURCE_SCHEMA) = LOWER(?)
-        AND LOWER(D.DELIVERY_MODE) = LOWER(?)
-      GROUP BY V.GESTATIONAL_AGE_WEEKS
-      ORDER BY V.GESTATIONAL_AGE_WEEKS ASC
-    `;
-
-    // FIXED: Use the correct parameter format for Snowflake
-    const rows = await runQuery(sql, [deliveryType, deliveryMode]);
-
-    if (!rows || rows.length === 0) {
-      return res.json({
-        success: true,
-        deliveryType,
-        deliveryMode,
-        averages: {},
-        message: "No matching records found for this category.",
-      });
-    }
-
-    // ✅ Format data for frontend charts
-    const averages = {
-      maternal_weight: [],
-      fundal_height: [],
-      hb: [],
-      systolic: [],
-      diastolic: [],
-      fetal_hr: [],
-    };
-
-    rows.forEach((r) => {
-      const week = Number(r.GESTATIONAL_AGE_WEEKS);
-      
-      // Handle null/undefined values with proper fallbacks
-      averages.maternal_weight.push({ 
-        week, 
-        value: r.AVG_WEIGHT ? Number(r.AVG_WEIGHT) : 0 
-      });
-      
-      averages.fundal_height.push({ 
-        week, 
-        value: r.AVG_FUNDAL ? Number(r.AVG_FUNDAL) : 0 
-      });
-      
-      averages.hb.push({ 
-        week, 
-        value: r.AVG_HB ? Number(r.AVG_HB) : 0 
-      });
-      
-      averages.systolic.push({ 
-        week, 
-        value: r.AVG_SYSTOLIC ? Math.round(r.AVG_SYSTOLIC) : 0 
-      });
-      
-      averages.diastolic.push({ 
-        week, 
-        value: r.AVG_DIASTOLIC ? Math.round(r.AVG_DIASTOLIC) : 0 
-      });
-      
-      averages.fetal_hr.push({ 
-        week, 
-        value: r.AVG_FHR ? Math.round(r.AVG_FHR) : 0 
-      });
-    });
+    // `averages` keeps the shape the charts already read; weeks without
+    // values are left out instead of plotted as 0
+    const averages = Object.fromEntries(
+      Object.entries(curves).map(([measure, weeks]) => [measure, weeks.map(({ week, mean, n }) => ({ week, value: mean, n }))])
+    );
+    const totalWeeks = new Set(Object.values(curves).flatMap((weeks) => weeks.map((w) => w.week))).size;
 
-    // ✅ Respond to frontend
-    res.json({
+    sendJsonOrExport(req, res, {
       success: true,
-      deliveryType,
-      deliveryMode,
-      totalWeeks: rows.length,
+      deliveryType: stratum.deliveryType,
+      deliveryMode: stratum.deliveryMode,
+      stratum: describeStratum(stratum),
+      sampleSize: { patients, visits },
+      totalWeeks,
       averages,
+      curves,
+      ...(visits === 0 ? { message: "No matching records found for this category." } : {}),
+      cacheLastRefresh: unifiedCache.lastRefresh,
       generatedAt: new Date().toISOString(),
-    });
-
+    }, (body) => curveTable(body.curves));
   } catch (error) {
-    console.error("❌ Reference average error:", error);
+    if (error instanceof AnalyticsQueryError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    console.error("❌ Reference curve error:", error);
     res.status(500).json({
       success: false,
-      error: "Failed to fetch reference averages.",
+      error: "Failed to build reference curves.",
       details: error.message,
-      sqlState: error.sqlState,
-      code: error.code
     });
   }
+}
+
+app.post("/api/reference-averages", exportable, (req, res) => {
+  const { deliveryType, deliveryMode } = req.body || {};
+  console.log(`📊 Reference curves for ${deliveryType || "all types"} + ${deliveryMode || "all modes"}`);
+  sendReferenceCurves(req, res, req.body || {});
+});
+
+app.get("/api/reference-curves", exportable, (req, res) => {
+  sendReferenceCurves(req, res, req.query);
 });
 
 
@@ -635,6 +1526,7 @@ app.get("/api/debug-cache", (req, res) => {
             patients: unifiedCacheOngoing.patients?.length || 0,
             visits: unifiedCacheOngoing.visits?.length || 0
         },
+        connection: dataSource.status(),
         timestamp: new Date().toISOString()
     };
     
@@ -656,23 +1548,40 @@ app.get("/api/patient-addresses", (req, res) => {
     }
 
     try {
-        // Extract unique addresses from patients data
-        const addresses = unifiedCache.patients
-            .map(p => p.ADDRESS)
-            .filter(address => address && address.trim() !== '') // Remove empty addresses
-            .filter((address, index, self) => self.indexOf(address) === index) // Get unique addresses
-            .sort(); // Sort alphabetically
+        // One option per district (or cleaned-up text when the gazetteer doesn't
+        // know the address), so "Chennai", "chennai " and "Chennai, TN" merge
+        const options = new Map();
+        [unifiedCache, unifiedCacheOngoing].filter((cache) => cache.loaded).forEach((cache) => {
+            cache.indexes.patientsByAddress.forEach((patients, address) => {
+                if (address.trim() === '') return;
+                const { text, region } = gazetteer.resolve(address);
+                const district = gazetteer.ancestor(region, "district");
+                const key = district ? district.key : text;
+                if (!options.has(key)) {
+                    options.set(key, {
+                        value: district ? district.name : address.trim(),
+                        label: district ? `${district.name}, ${district.state}` : address.trim(),
+                        state: district?.state ?? region?.state ?? null,
+                        rawAddresses: new Set(),
+                        patientCount: 0,
+                    });
+                }
+                const option = options.get(key);
+                option.rawAddresses.add(address);
+                option.patientCount += patients.length;
+            });
+        });
+        const addresses = [...options.values()]
+            .map((option) => ({ ...option, rawAddresses: [...option.rawAddresses].sort() }))
+            .sort((a, b) => a.label.localeCompare(b.label)); // Sort alphabetically
 
         // Add "All Locations" option
         const addressOptions = [
             { value: 'all', label: 'All Locations' },
-            ...addresses.map(address => ({
-                value: address,
-                label: address
-            }))
+            ...addresses
         ];
 
-        console.log(`✅ Found ${addresses.length} unique patient addresses`);
+        console.log(`✅ Found ${addresses.length} patient locations`);
         
         res.json({
             success: true,
@@ -690,150 +1599,17 @@ app.get("/api/patient-addresses", (req, res) => {
 // =======================
 // 🏥 Get Filtered Home Summary by Address
 // =======================
-app.get("/api/home-summary-filtered", (req, res) => {
-    const address = req.query.address;
-    
-    if (!unifiedCache.loaded) {
-        return res.status(503).json({
-            error: "Cache is still loading. Please wait...",
-            loading: true,
-        });
-    }
-
-    try {
-        let filteredPatients = unifiedCache.patients;
-        let filteredVisits = unifiedCache.visits;
-        let filteredDeliveries = unifiedCache.deliveries;
-        let filteredBabies = unifiedCache.babies;
-
-        // Filter by address if provided and not 'all'
-        if (address && address !== 'all') {
-            filteredPatients = unifiedCache.patients.filter(p => 
-                p.ADDRESS && p.ADDRESS === address
-            );
-            
-            const filteredPatientIds = filteredPatients.map(p => p.PATIENT_ID);
-            
-            filteredVisits = unifiedCache.visits.filter(v => 
-                filteredPatientIds.includes(v.PATIENT_ID)
-            );
-            filteredDeliveries = unifiedCache.deliveries.filter(d => 
-                filteredPatientIds.includes(d.PATIENT_ID)
-            );
-            filteredBabies = unifiedCache.babies.filter(b => 
-                filteredPatientIds.includes(b.PATIENT_ID)
-            );
-        }
-
-        // Calculate metrics with filtered data
-        const hospitalPatients = filteredPatients || [];
-        const ongoingPatients = unifiedCacheOngoing.patients || []; // Ongoing patients remain unfiltered for now
-        const deliveries = filteredDeliveries || [];
-        const babies = filteredBabies || [];
-        const hospitalVisits = filteredVisits || [];
-        const ongoingVisits = unifiedCacheOngoing.visits || [];
-
-        // Your existing calculation logic here...
-        const totalHospitalPatients = hospitalPatients.length;
-        const totalOngoingPatients = ongoingPatients.length;
-        const totalPatients = totalHospitalPatients + totalOngoingPatients;
-        
-        // Calculate delivery types
-        let normalDeliveryCount = 0;
-        let cSectionDeliveryCount = 0;
-        
-        deliveries.forEach(delivery => {
-            const mode = delivery.DELIVERY_MODE?.toLowerCase();
-            if (mode) {
-                if (mode.includes('vaginal') || mode.includes('normal')) {
-                    normalDeliveryCount++;
-                } else if (mode.includes('c-section') || mode.includes('cesarean') || mode.includes('c_section')) {
-                    cSectionDeliveryCount++;
-                }
-            }
-        });
-        
-        const totalDeliveries = normalDeliveryCount + cSectionDeliveryCount;
-        const totalBabies = babies.length;
-        
-        // Calculate today's appointments
-        const today = new Date().toDateString();
-        const todaysAppointments = 
-            hospitalVisits.filter(v => v.VISIT_DATE && new Date(v.VISIT_DATE).toDateString() === today).length +
-            ongoingVisits.filter(v => v.VISIT_DATE && new Date(v.VISIT_DATE).toDateString() === today).length;
-        
-        // Calculate delivery types from babies data
-        let maturedCount = 0;
-        let prematureCount = 0;
-        let mortalityCount = 0;
-
-        babies.forEach(baby => {
-            if (baby.SOURCE_SCHEMA === 'MATURED') {
-                maturedCount++;
-            } else if (baby.SOURCE_SCHEMA === 'PREMATURE') {
-                prematureCount++;
-            } 
-        });
-
-        hospitalPatients.forEach(patient => {
-            if (patient.SOURCE_SCHEMA === 'MORTALITY') {
-                mortalityCount++;
-            }
-        });
-
-        const totalBabiesWithType = maturedCount + prematureCount + mortalityCount;
-        const maturedRate = totalBabiesWithType > 0 ? Math.round((maturedCount / totalBabiesWithType) * 100) : 0;
-        const prematureRate = totalBabiesWithType > 0 ? Math.round((prematureCount / totalBabiesWithType) * 100) : 0;
-        const mortalityRate = totalBabiesWithType > 0 ? Math.round((mortalityCount / totalBabiesWithType) * 100) : 0;
-
-        const summary = {
-            success: true,
-            // Core Metrics
-            totalPatients: totalPatients,
-            activePregnancies: totalOngoingPatients,
-            historicalPatients: totalHospitalPatients,
-            
-            // Delivery Analytics
-            normalDeliveryCount: normalDeliveryCount,
-            cSectionDeliveryCount: cSectionDeliveryCount,
-            totalDeliveries: totalDeliveries,
-            totalBabies: totalBabies,
-            
-            // Daily Operations
-            todaysAppointments: todaysAppointments,
-            
-            // Calculated Ratios
-            normalDeliveryRate: totalDeliveries > 0 ? Math.round((normalDeliveryCount / totalDeliveries) * 100) : 0,
-            cSectionRate: totalDeliveries > 0 ? Math.round((cSectionDeliveryCount / totalDeliveries) * 100) : 0,
-
-            // Delivery Types
-            deliveryTypes: {
-                matured: maturedRate,
-                premature: prematureRate,
-                mortality: mortalityRate,
-                maturedCount: maturedCount,
-                prematureCount: prematureCount,
-                mortalityCount: mortalityCount
-            },
-
-            // Filter info
+// Kept for existing clients: same as /api/home-summary?address=...
+app.get("/api/home-summary-filtered", exportable, (req, res) => {
+    sendHomeSummary(req, res, {
+        route: "/api/home-summary-filtered",
+        extra: (selection) => ({
             filter: {
-                address: address,
-                patientCount: hospitalPatients.length
+                address: req.query.address,
+                patientCount: selection.historical.patients.length
             }
-        };
-
-        console.log(`✅ Filtered Home Summary: ${hospitalPatients.length} patients for address "${address}"`);
-        res.json(summary);
-        
-    } catch (err) {
-        console.error("❌ Error in /api/home-summary-filtered:", err.message);
-        res.status(500).json({ 
-            success: false,
-            error: "Failed to generate filtered summary",
-            details: err.message 
-        });
-    }
+        })
+    });
 });
 
 
@@ -0,0 +1,118 @@
+// utils/Gazetteer.js
+
+import fs from "fs/promises";
+import path from "path";
+
+// Resolves free-text ADDRESS values ("Chennai", "chennai ", "T Nagar,
+// Chennai, TN") to a locality -> district -> state region, using a local
+// gazetteer file (data/gazetteer.json):
+//   { states: [{ name, aliases?, centroid?, geometry?, districts: [
+//       { name, aliases?, centroid?, geometry?, localities: [...] } ] }] }
+// Names and aliases are matched as whole words, case-insensitively; the most
+// specific match wins and a state named in the address settles ambiguous
+// districts. Addresses that match nothing keep their cleaned-up text.
+
+export const REGION_LEVELS = ["state", "district", "locality"];
+
+// Longest alias, in words, worth looking for
+const MAX_ALIAS_WORDS = 4;
+
+export function cleanAddressText(value) {
+  return String(value ?? "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+class Gazetteer {
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath || "data/gazetteer.json");
+    this.regions = new Map();
+    this.aliases = new Map();
+    this.resolved = new Map();
+  }
+
+  async load() {
+    let states = [];
+    try {
+      ({ states = [] } = JSON.parse(await fs.readFile(this.filePath, "utf8")));
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+      console.warn(`⚠️ No gazetteer at ${this.filePath}; addresses will only be cleaned up`);
+    }
+    this.index(states);
+    return this;
+  }
+
+  index(states) {
+    this.regions = new Map();
+    this.aliases = new Map();
+    this.resolved = new Map();
+
+    const add = (level, entry, parent) => {
+      const region = {
+        level,
+        key: parent ? `${parent.key}/${entry.name}` : entry.name,
+        name: entry.name,
+        state: level === "state" ? entry.name : parent.state,
+        district: level === "district" ? entry.name : parent?.district ?? null,
+        locality: level === "locality" ? entry.name : null,
+        centroid: entry.centroid || null,
+        geometry: entry.geometry || null,
+      };
+      this.regions.set(region.key, region);
+      [entry.name, ...(entry.aliases || [])].forEach((alias) => {
+        const text = cleanAddressText(alias);
+        if (!text) return;
+        if (!this.aliases.has(text)) this.aliases.set(text, []);
+        this.aliases.get(text).push(region);
+      });
+      return region;
+    };
+
+    states.forEach((state) => {
+      const stateRegion = add("state", state, null);
+      (state.districts || []).forEach((district) => {
+        const districtRegion = add("district", district, stateRegion);
+        (district.localities || []).forEach((locality) => add("locality", locality, districtRegion));
+      });
+    });
+  }
+
+  region(key) {
+    return this.regions.get(key) || null;
+  }
+
+  // The region at `level` containing this region (itself at its own level)
+  ancestor(region, level) {
+    if (!region || REGION_LEVELS.indexOf(region.level) < REGION_LEVELS.indexOf(level)) return null;
+    const names = { state: [region.state], district: [region.state, region.district], locality: [region.state, region.district, region.locality] };
+    return this.region(names[level].join("/"));
+  }
+
+  // { text, region } where region is null when nothing in the address matched
+  resolve(address) {
+    const text = cleanAddressText(address);
+    if (this.resolved.has(text)) return this.resolved.get(text);
+
+    const words = text ? text.split(" ") : [];
+    const matches = [];
+    for (let size = Math.min(MAX_ALIAS_WORDS, words.length); size >= 1; size--) {
+      for (let i = 0; i + size <= words.length; i++) {
+        (this.aliases.get(words.slice(i, i + size).join(" ")) || []).forEach((region) => matches.push(region));
+      }
+    }
+
+    // Agreeing with a state named in the address beats being more specific
+    const mentionedStates = new Set(matches.filter((r) => r.level === "state").map((r) => r.state));
+    const rank = (r) =>
+      (mentionedStates.size === 0 || mentionedStates.has(r.state) ? REGION_LEVELS.length : 0) + REGION_LEVELS.indexOf(r.level);
+    const best = matches.reduce((top, r) => (!top || rank(r) > rank(top) ? r : top), null);
+
+    const result = { text, region: best };
+    this.resolved.set(text, result);
+    return result;
+  }
+}
+
+export default Gazetteer;
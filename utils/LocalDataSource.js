@@ -0,0 +1,183 @@
+// utils/LocalDataSource.js
+
+import fs from "fs/promises";
+import path from "path";
+import { TABLES } from "./tables.js";
+import { checkSourceColumns } from "./normalize.js";
+
+// Serves the same unified tables as Snowflake from files on disk, so the API
+// can run offline (development, demos, tests).
+class LocalDataSource {
+  constructor(config = {}) {
+    this.name = "local";
+    this.dataDir = path.resolve(config.dataDir || "data/fixtures");
+    this.writeQueues = new Map();
+  }
+
+  async connect() {
+    await fs.access(this.dataDir);
+    this.connectedAt = new Date().toISOString();
+    return this;
+  }
+
+  status() {
+    return {
+      state: this.connectedAt ? "connected" : "idle",
+      dataDir: this.dataDir,
+      lastConnectedAt: this.connectedAt || null,
+    };
+  }
+
+  // With { since, changeColumn } only rows changed after `since` are returned
+  async fetchTable(cacheName, tableName, { since, changeColumn } = {}) {
+    const rows = await this.readTable(cacheName, tableName);
+    if (!since || !changeColumn) return rows;
+
+    const sinceTime = new Date(since).getTime();
+    return rows.filter((row) => row[changeColumn] && new Date(row[changeColumn]).getTime() > sinceTime);
+  }
+
+  async readTable(cacheName, tableName) {
+    if (!TABLES[cacheName]?.[tableName]) {
+      throw new Error(`Unknown table ${cacheName}.${tableName}`);
+    }
+
+    const basePath = path.join(this.dataDir, cacheName, tableName);
+    const json = await this.readFileIfExists(`${basePath}.json`);
+    if (json !== null) {
+      return JSON.parse(json);
+    }
+
+    const csv = await this.readFileIfExists(`${basePath}.csv`);
+    if (csv !== null) {
+      return parseCsv(csv);
+    }
+
+    // A missing table behaves like an empty view
+    return [];
+  }
+
+  // Appends the row to the table file and returns the stored row
+  async insertRow(cacheName, tableName, row) {
+    checkSourceColumns(cacheName, tableName, row);
+    await this.updateTable(cacheName, tableName, (rows) => [...rows, row]);
+    return row;
+  }
+
+  // Removes the rows whose `column` equals `value`; returns how many
+  async deleteRows(cacheName, tableName, column, value) {
+    let deleted = 0;
+    await this.updateTable(cacheName, tableName, (rows) => {
+      const kept = rows.filter((row) => String(row[column]) !== String(value));
+      deleted = rows.length - kept.length;
+      return kept;
+    });
+    return deleted;
+  }
+
+  // Read-modify-write of one table file, keeping its format (JSON, or CSV
+  // when that is the only file). Writes to the same file run one after another.
+  async updateTable(cacheName, tableName, update) {
+    if (!TABLES[cacheName]?.[tableName]) {
+      throw new Error(`Unknown table ${cacheName}.${tableName}`);
+    }
+
+    const basePath = path.join(this.dataDir, cacheName, tableName);
+    const previous = this.writeQueues.get(basePath) || Promise.resolve();
+    const write = previous.catch(() => { }).then(async () => {
+      const json = await this.readFileIfExists(`${basePath}.json`);
+      const csv = json === null ? await this.readFileIfExists(`${basePath}.csv`) : null;
+
+      if (csv !== null) {
+        const header = csv.split(/\r?\n/, 1)[0].split(",");
+        const rows = update(parseCsv(csv));
+        const columns = [...new Set([...header, ...rows.flatMap((row) => Object.keys(row))])];
+        const lines = [columns, ...rows.map((row) => columns.map((column) => row[column]))];
+        await writeAtomically(`${basePath}.csv`, lines.map((cells) => cells.map(csvCell).join(",")).join("\n") + "\n");
+        return;
+      }
+
+      const rows = update(json === null ? [] : JSON.parse(json));
+      await fs.mkdir(path.dirname(basePath), { recursive: true });
+      await writeAtomically(`${basePath}.json`, JSON.stringify(rows, null, 2) + "\n");
+    });
+
+    this.writeQueues.set(basePath, write);
+    return write;
+  }
+
+  async readFileIfExists(filePath) {
+    try {
+      return await fs.readFile(filePath, "utf8");
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  }
+
+}
+
+async function writeAtomically(filePath, content) {
+  await fs.writeFile(`${filePath}.tmp`, content);
+  await fs.rename(`${filePath}.tmp`, filePath);
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Minimal RFC 4180 parser: header row, quoted fields, "" escapes.
+// Numeric-looking cells become numbers and empty cells become null, so rows
+// look like what snowflake-sdk returns.
+function parseCsv(text) {
+  const records = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      records.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    records.push(row);
+  }
+
+  const [header = [], ...rows] = records.filter((r) => r.some((cell) => cell !== ""));
+  return rows.map((cells) =>
+    Object.fromEntries(
+      header.map((column, idx) => {
+        const raw = cells[idx] ?? "";
+        if (raw === "") return [column, null];
+        return [column, /^-?(0|[1-9]\d*)(\.\d+)?$/.test(raw.trim()) ? Number(raw) : raw];
+      })
+    )
+  );
+}
+
+export default LocalDataSource;
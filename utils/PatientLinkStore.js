@@ -0,0 +1,158 @@
+// utils/PatientLinkStore.js
+
+import fs from "fs/promises";
+import path from "path";
+
+// Confirmed record links: groups of PATIENT_IDs within one cohort that are
+// the same woman. Each group has a primary record whose ID the merged person
+// is reported under. Links are kept in a JSON file so they survive restarts
+// and cache reloads. Changes run one at a time, and a change whose save
+// fails is undone, so memory and the file stay in step.
+class PatientLinkStore {
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath || "data/patient-links.json");
+    this.groups = {};
+    this.byPatient = new Map();
+    // Bumped on every change; callers memoize on it
+    this.version = 0;
+    this.queue = Promise.resolve();
+    this.saves = 0;
+  }
+
+  async load() {
+    try {
+      const { groups = {} } = JSON.parse(await fs.readFile(this.filePath, "utf8"));
+      this.groups = groups;
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+      this.groups = {};
+    }
+    this.reindex();
+    return this;
+  }
+
+  async save() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.${process.pid}-${++this.saves}.tmp`;
+    try {
+      await fs.writeFile(tmpPath, JSON.stringify({ groups: this.groups }, null, 2) + "\n");
+      await fs.rename(tmpPath, this.filePath);
+    } catch (err) {
+      await fs.rm(tmpPath, { force: true });
+      throw err;
+    }
+  }
+
+  // Runs `change` after the changes before it have been saved. `change`
+  // replaces this.groups[cohort] lists (never edits them in place) and
+  // returns the result (false for no change); when the save fails the old
+  // groups are put back.
+  update(change) {
+    const run = this.queue.catch(() => { }).then(async () => {
+      const before = this.groups;
+      this.groups = { ...before };
+      const result = change();
+      if (result === false) {
+        // Nothing changed
+        this.groups = before;
+        return result;
+      }
+      this.reindex();
+      try {
+        await this.save();
+      } catch (err) {
+        this.groups = before;
+        this.reindex();
+        throw err;
+      }
+      return result;
+    });
+    this.queue = run;
+    return run;
+  }
+
+  reindex() {
+    this.byPatient = new Map();
+    Object.entries(this.groups).forEach(([cohort, groups]) => {
+      groups.forEach((group) => {
+        group.patientIds.forEach((id) => this.byPatient.set(`${cohort}:${id}`, group));
+      });
+    });
+    this.version++;
+  }
+
+  groupsFor(cohort) {
+    return this.groups[cohort] || [];
+  }
+
+  groupOf(cohort, patientId) {
+    return this.byPatient.get(`${cohort}:${Number(patientId)}`) || null;
+  }
+
+  primaryId(cohort, patientId) {
+    return this.groupOf(cohort, patientId)?.primaryId ?? Number(patientId);
+  }
+
+  // Every ID of the person, primary first
+  linkedIds(cohort, patientId) {
+    const group = this.groupOf(cohort, patientId);
+    if (!group) return [Number(patientId)];
+    return [group.primaryId, ...group.patientIds.filter((id) => id !== group.primaryId)];
+  }
+
+  // Distinct people among these patient rows
+  countPersons(cohort, patients) {
+    return new Set((patients || []).map((p) => this.primaryId(cohort, p.PATIENT_ID))).size;
+  }
+
+  // Links the IDs into one group, merging any groups they already belong to
+  link(cohort, patientIds, { primaryId, note } = {}) {
+    return this.update(() => {
+      const ids = new Set(patientIds.map(Number));
+      const existing = this.groupsFor(cohort).filter((group) => group.patientIds.some((id) => ids.has(id)));
+      existing.forEach((group) => group.patientIds.forEach((id) => ids.add(id)));
+
+      const sorted = [...ids].sort((a, b) => a - b);
+      const primary = primaryId !== undefined ? Number(primaryId) : existing[0]?.primaryId ?? sorted[0];
+      const group = {
+        primaryId: primary,
+        patientIds: sorted,
+        linkedAt: new Date().toISOString(),
+        note: note || existing.map((g) => g.note).filter(Boolean).join("; ") || null,
+      };
+
+      this.groups[cohort] = [...this.groupsFor(cohort).filter((g) => !existing.includes(g)), group];
+      return group;
+    });
+  }
+
+  // Takes one record out of its group; resolves false when it was not linked
+  unlink(cohort, patientId) {
+    return this.update(() => {
+      const id = Number(patientId);
+      const group = this.groupOf(cohort, id);
+      if (!group) return false;
+
+      const remaining = group.patientIds.filter((p) => p !== id);
+      const others = this.groupsFor(cohort).filter((g) => g !== group);
+      this.groups[cohort] =
+        remaining.length > 1
+          ? [...others, { ...group, patientIds: remaining, primaryId: group.primaryId === id ? remaining[0] : group.primaryId }]
+          : others;
+      return true;
+    });
+  }
+
+  // Drops the whole group of this record, e.g. once its records are deleted
+  removeGroup(cohort, patientId) {
+    return this.update(() => {
+      const group = this.groupOf(cohort, patientId);
+      if (!group) return false;
+
+      this.groups[cohort] = this.groupsFor(cohort).filter((g) => g !== group);
+      return true;
+    });
+  }
+}
+
+export default PatientLinkStore;
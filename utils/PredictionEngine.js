@@ -1,5 +1,7 @@
 // utils/PredictionEngine.js
 
+import { parseBloodPressure } from "./normalize.js";
+
 class PredictionEngine {
   constructor(visits, patient) {
     this.visits = visits || [];
@@ -322,16 +324,7 @@ generateProgression(currentGA, weeksToProjectInput) {
   }
 
   parseBloodPressure(bpString) {
-    if (!bpString) return { systolic: 115, diastolic: 70 };
-    try {
-      const parts = bpString.split('/').map(Number);
-      return {
-        systolic: parts[0] || 115,
-        diastolic: parts[1] || 70
-      };
-    } catch (error) {
-      return { systolic: 115, diastolic: 70 };
-    }
+    return parseBloodPressure(bpString, { systolic: 115, diastolic: 70 });
   }
 
   hasPretermHistory() {
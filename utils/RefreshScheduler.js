@@ -0,0 +1,52 @@
+// utils/RefreshScheduler.js
+
+// Runs named refresh tasks on their own interval. The next run is scheduled
+// only after the previous one finishes, so slow loads never overlap.
+class RefreshScheduler {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  schedule(name, intervalMs, task) {
+    this.cancel(name);
+    if (!intervalMs || intervalMs <= 0) return;
+
+    const job = { name, intervalMs, task, timer: null, lastRunAt: null, nextRunAt: null };
+    this.jobs.set(name, job);
+    this.queue(job);
+  }
+
+  queue(job) {
+    job.nextRunAt = new Date(Date.now() + job.intervalMs).toISOString();
+    job.timer = setTimeout(async () => {
+      job.lastRunAt = new Date().toISOString();
+      try {
+        await job.task();
+      } catch (err) {
+        console.error(`❌ Scheduled refresh "${job.name}" failed:`, err.message);
+      }
+      if (this.jobs.get(job.name) === job) this.queue(job);
+    }, job.intervalMs);
+    // Don't keep the process alive just for refreshes
+    job.timer.unref?.();
+  }
+
+  cancel(name) {
+    const job = this.jobs.get(name);
+    if (job) {
+      clearTimeout(job.timer);
+      this.jobs.delete(name);
+    }
+  }
+
+  status() {
+    return Object.fromEntries(
+      [...this.jobs.values()].map((job) => [
+        job.name,
+        { intervalMs: job.intervalMs, lastRunAt: job.lastRunAt, nextRunAt: job.nextRunAt },
+      ])
+    );
+  }
+}
+
+export default RefreshScheduler;
@@ -0,0 +1,214 @@
+// utils/SnowflakeConnectionManager.js
+
+import snowflake from "snowflake-sdk";
+
+// Socket-level failures and Snowflake errors after which the same query can
+// simply be retried on a fresh connection
+const TRANSIENT_ERROR_NAMES = new Set(["NetworkError", "LargeResultSetError", "QueryTimeoutError"]);
+const TRANSIENT_ERROR_CODES = new Set([
+  "ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EPIPE", "EAI_AGAIN", "ENOTFOUND",
+  401001, // could not connect
+  390112, // session no longer exists
+  390114, // authentication token expired
+  407002, // connection already terminated
+]);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error(`${label} timed out after ${ms}ms`);
+      err.name = "QueryTimeoutError";
+      reject(err);
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Owns a Snowflake connection pool: connects with exponential backoff,
+// times out and retries queries, and reconnects in the background when the
+// network drops.
+class SnowflakeConnectionManager {
+  constructor(connectionOptions, options = {}) {
+    this.connectionOptions = { clientSessionKeepAlive: true, ...connectionOptions };
+    this.poolMax = options.poolMax ?? 4;
+    this.poolMin = options.poolMin ?? 0;
+    this.queryTimeoutMs = options.queryTimeoutMs ?? 120000;
+    this.connectTimeoutMs = options.connectTimeoutMs ?? 30000;
+    this.maxRetries = options.maxRetries ?? 3;
+    this.baseDelayMs = options.baseDelayMs ?? 1000;
+    this.maxDelayMs = options.maxDelayMs ?? 60000;
+
+    this.pool = null;
+    this.state = "idle";
+    this.lastError = null;
+    this.lastConnectedAt = null;
+    this.connectAttempts = 0;
+    this.nextRetryAt = null;
+    this.connecting = null;
+    this.stats = { queries: 0, retries: 0, failures: 0, timeouts: 0 };
+  }
+
+  createPool() {
+    return snowflake.createPool(this.connectionOptions, {
+      max: this.poolMax,
+      min: this.poolMin,
+      testOnBorrow: true,
+      acquireTimeoutMillis: this.queryTimeoutMs,
+    });
+  }
+
+  // Resolves once a connection works; keeps retrying with backoff until then
+  connect() {
+    if (!this.connecting) {
+      this.connecting = this.connectWithBackoff().finally(() => {
+        this.connecting = null;
+      });
+    }
+    return this.connecting;
+  }
+
+  async connectWithBackoff() {
+    this.state = this.lastConnectedAt ? "reconnecting" : "connecting";
+    this.connectAttempts = 0;
+
+    for (;;) {
+      this.connectAttempts++;
+      try {
+        await this.resetPool();
+        await withTimeout(this.runOnce("SELECT 1", []), this.connectTimeoutMs, "Connection attempt");
+        this.state = "connected";
+        this.lastError = null;
+        this.nextRetryAt = null;
+        this.lastConnectedAt = new Date().toISOString();
+        return this;
+      } catch (err) {
+        const delay = this.backoffDelay(this.connectAttempts);
+        this.lastError = err.message;
+        this.nextRetryAt = new Date(Date.now() + delay).toISOString();
+        console.error(
+          `❌ Snowflake connection attempt ${this.connectAttempts} failed: ${err.message}. Retrying in ${Math.round(delay / 1000)}s`
+        );
+        await sleep(delay);
+      }
+    }
+  }
+
+  async resetPool() {
+    const oldPool = this.pool;
+    this.pool = this.createPool();
+    if (oldPool) {
+      oldPool.drain().then(() => oldPool.clear()).catch(() => { });
+    }
+  }
+
+  // Exponential backoff with jitter, capped at maxDelayMs
+  backoffDelay(attempt) {
+    const exponential = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (attempt - 1));
+    return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+  }
+
+  isTransient(err) {
+    return TRANSIENT_ERROR_NAMES.has(err?.name) || TRANSIENT_ERROR_CODES.has(err?.code);
+  }
+
+  // { retries } overrides maxRetries, e.g. 0 for statements that must not run twice
+  async execute(sql, binds = [], { retries = this.maxRetries } = {}) {
+    if (!this.pool) await this.connect();
+    this.stats.queries++;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.runOnce(sql, binds);
+      } catch (err) {
+        if (!this.isTransient(err) || attempt >= retries) {
+          this.stats.failures++;
+          if (this.isTransient(err)) {
+            // The network is gone: rebuild the pool in the background
+            this.lastError = err.message;
+            this.connect().catch(() => { });
+          }
+          throw err;
+        }
+        this.stats.retries++;
+        const delay = this.backoffDelay(attempt + 1);
+        console.warn(`⚠️ Transient Snowflake error (${err.code || err.name}): ${err.message}. Retry ${attempt + 1}/${retries} in ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  async runOnce(sql, binds) {
+    const pool = this.pool;
+    const conn = await pool.acquire();
+    try {
+      const rows = await this.executeWithTimeout(conn, sql, binds);
+      await pool.release(conn);
+      return rows;
+    } catch (err) {
+      // Don't hand a broken session to the next query
+      if (this.isTransient(err)) {
+        await pool.destroy(conn).catch(() => { });
+      } else {
+        await pool.release(conn).catch(() => { });
+      }
+      throw err;
+    }
+  }
+
+  executeWithTimeout(conn, sql, binds) {
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      let timer = null;
+      const statement = conn.execute({
+        sqlText: sql,
+        binds,
+        complete: (err, stmt, rows) => {
+          if (settled) return;
+          settled = true;
+          clearTimeout(timer);
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows);
+          }
+        },
+      });
+
+      timer = setTimeout(() => {
+        if (settled) return;
+        settled = true;
+        this.stats.timeouts++;
+        statement?.cancel?.(() => { });
+        const err = new Error(`Query timed out after ${this.queryTimeoutMs}ms`);
+        err.name = "QueryTimeoutError";
+        reject(err);
+      }, this.queryTimeoutMs);
+    });
+  }
+
+  status() {
+    return {
+      state: this.state,
+      lastError: this.lastError,
+      lastConnectedAt: this.lastConnectedAt,
+      connectAttempts: this.connectAttempts,
+      nextRetryAt: this.nextRetryAt,
+      pool: this.pool
+        ? {
+          size: this.pool.size,
+          available: this.pool.available,
+          borrowed: this.pool.borrowed,
+          pending: this.pool.pending,
+          max: this.pool.max,
+          min: this.pool.min,
+        }
+        : null,
+      stats: { ...this.stats },
+    };
+  }
+}
+
+export default SnowflakeConnectionManager;
@@ -0,0 +1,86 @@
+// utils/SnowflakeDataSource.js
+
+import SnowflakeConnectionManager from "./SnowflakeConnectionManager.js";
+import { TABLES } from "./tables.js";
+import { checkSourceColumns } from "./normalize.js";
+
+class SnowflakeDataSource {
+  constructor(config = {}, connectionOptions = {}) {
+    this.name = "snowflake";
+    this.connectionManager = new SnowflakeConnectionManager(
+      {
+        account: config.account,
+        username: config.username,
+        password: config.password,
+        warehouse: config.warehouse,
+        database: config.database,
+        schema: config.schema,
+      },
+      connectionOptions
+    );
+  }
+
+  connect() {
+    return this.connectionManager.connect();
+  }
+
+  status() {
+    return this.connectionManager.status();
+  }
+
+  // utility to run queries returning Promise<rows>
+  async runQuery(sql, params = []) {
+    return this.connectionManager.execute(sql, params); // binds the parameters
+  }
+
+  async fetchTable(cacheName, tableName, { since, changeColumn } = {}) {
+    const objectName = TABLES[cacheName]?.[tableName];
+    if (!objectName) {
+      throw new Error(`Unknown table ${cacheName}.${tableName}`);
+    }
+
+    if (since && changeColumn) {
+      if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(changeColumn)) {
+        throw new Error(`Invalid change column "${changeColumn}"`);
+      }
+      const sql = `SELECT * FROM ${objectName} WHERE ${changeColumn} > ?`;
+      return (await this.runQuery(sql, [new Date(since).toISOString()])) || [];
+    }
+
+    return (await this.runQuery(`SELECT * FROM ${objectName}`)) || [];
+  }
+
+  async insertRow(cacheName, tableName, row) {
+    const objectName = TABLES[cacheName]?.[tableName];
+    if (!objectName) {
+      throw new Error(`Unknown table ${cacheName}.${tableName}`);
+    }
+
+    checkSourceColumns(cacheName, tableName, row);
+    const columns = Object.keys(row);
+    const invalid = columns.find((column) => !/^[A-Za-z_][A-Za-z0-9_]*$/.test(column));
+    if (invalid) {
+      throw new Error(`Invalid column "${invalid}"`);
+    }
+
+    const sql = `INSERT INTO ${objectName} (${columns.join(", ")}) VALUES (${columns.map(() => "?").join(", ")})`;
+    // An INSERT is not idempotent, so it is never retried
+    await this.connectionManager.execute(sql, columns.map((column) => row[column] ?? null), { retries: 0 });
+    return row;
+  }
+
+  async deleteRows(cacheName, tableName, column, value) {
+    const objectName = TABLES[cacheName]?.[tableName];
+    if (!objectName) {
+      throw new Error(`Unknown table ${cacheName}.${tableName}`);
+    }
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(column)) {
+      throw new Error(`Invalid column "${column}"`);
+    }
+
+    const result = await this.connectionManager.execute(`DELETE FROM ${objectName} WHERE ${column} = ?`, [value], { retries: 0 });
+    return result?.[0]?.["number of rows deleted"] ?? null;
+  }
+}
+
+export default SnowflakeDataSource;
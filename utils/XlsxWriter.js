@@ -0,0 +1,256 @@
+// utils/XlsxWriter.js
+
+import zlib from "zlib";
+import { finished } from "stream/promises";
+
+// Minimal streaming .xlsx writer: one worksheet, inline strings, no styles.
+// An .xlsx file is a zip of XML parts; each part is deflated as it is
+// written and its CRC and sizes follow it in a data descriptor, so rows go
+// out as they arrive instead of being assembled in memory first.
+
+const XLSX_TYPE = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+// Excel's limit for one cell
+const MAX_CELL_CHARS = 32767;
+const CHUNK_CHARS = 64 * 1024;
+// General purpose flags: sizes in a data descriptor (bit 3), UTF-8 names (bit 11)
+const ZIP_FLAGS = 0x0808;
+const DEFLATE = 8;
+const ZIP_VERSION = 20;
+
+const STATIC_PARTS = {
+  "[Content_Types].xml":
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+    "</Types>",
+  "_rels/.rels":
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+    "</Relationships>",
+  "xl/_rels/workbook.xml.rels":
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+    "</Relationships>",
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer, crc = 0) {
+  let c = crc ^ 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) c = CRC_TABLE[(c ^ buffer[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// Resolves once `stream` can take more data, or has failed or closed (the
+// caller checks `destroyed` afterwards)
+function drained(stream) {
+  if (stream.destroyed || !stream.writableNeedDrain) return Promise.resolve();
+  return new Promise((resolve) => {
+    const done = () => {
+      stream.off("drain", done);
+      stream.off("error", done);
+      stream.off("close", done);
+      resolve();
+    };
+    stream.on("drain", done);
+    stream.on("error", done);
+    stream.on("close", done);
+  });
+}
+
+const clientGone = () => new Error("Client closed the connection");
+
+// Writes to a response, waiting when it is backed up; throws once the
+// client has gone away
+export async function writeChunk(stream, data) {
+  if (stream.destroyed) throw clientGone();
+  if (!stream.write(data)) await drained(stream);
+}
+
+function escapeXml(value) {
+  return String(value)
+    .slice(0, MAX_CELL_CHARS)
+    // Control characters aren't allowed in XML 1.0
+    .replace(/[^\x09\x0A\x0D\x20-\u{D7FF}\u{E000}-\u{FFFD}\u{10000}-\u{10FFFF}]/gu, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// 0 -> A, 25 -> Z, 26 -> AA
+function columnName(index) {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  return name;
+}
+
+function cell(value, ref) {
+  if (value === null || value === undefined || value === "") return "";
+  if (typeof value === "number" && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+  if (typeof value === "boolean") return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+// MS-DOS date and time, as zip headers store them
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+class XlsxWriter {
+  static contentType = XLSX_TYPE;
+
+  constructor(output, { sheetName = "Export" } = {}) {
+    this.output = output;
+    this.sheetName = sheetName.replace(/[\\/?*[\]:]/g, " ").slice(0, 31) || "Export";
+    this.offset = 0;
+    this.entries = [];
+    this.entry = null;
+    this.rows = 0;
+    this.pending = "";
+    this.stamp = dosDateTime(new Date());
+  }
+
+  async send(buffer) {
+    this.offset += buffer.length;
+    await writeChunk(this.output, buffer);
+  }
+
+  async beginEntry(name) {
+    const fileName = Buffer.from(name, "utf8");
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(ZIP_VERSION, 4);
+    header.writeUInt16LE(ZIP_FLAGS, 6);
+    header.writeUInt16LE(DEFLATE, 8);
+    header.writeUInt16LE(this.stamp.time, 10);
+    header.writeUInt16LE(this.stamp.date, 12);
+    // CRC and sizes (14-25) are left 0; they follow in the data descriptor
+    header.writeUInt16LE(fileName.length, 26);
+
+    this.entry = { fileName, offset: this.offset, crc: 0, size: 0, compressedSize: 0 };
+    await this.send(Buffer.concat([header, fileName]));
+
+    const deflate = zlib.createDeflateRaw();
+    deflate.on("data", (chunk) => {
+      this.entry.compressedSize += chunk.length;
+      this.offset += chunk.length;
+      if (!this.output.write(chunk) && !deflate.isPaused()) {
+        deflate.pause();
+        drained(this.output).then(() => (this.output.destroyed ? deflate.destroy(clientGone()) : deflate.resume()));
+      }
+    });
+    // A client leaving mid-entry fails writeEntry() and endEntry()'s
+    // finished() instead of leaving them waiting on a paused stream
+    const abort = () => deflate.destroy(clientGone());
+    deflate.on("error", () => {});
+    this.output.once("close", abort);
+    deflate.once("close", () => this.output.off("close", abort));
+    this.deflate = deflate;
+  }
+
+  async writeEntry(text) {
+    const buffer = Buffer.from(text, "utf8");
+    this.entry.crc = crc32(buffer, this.entry.crc);
+    this.entry.size += buffer.length;
+    if (this.deflate.destroyed) throw clientGone();
+    if (!this.deflate.write(buffer)) await drained(this.deflate);
+  }
+
+  async endEntry() {
+    this.deflate.end();
+    await finished(this.deflate);
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(this.entry.crc, 4);
+    descriptor.writeUInt32LE(this.entry.compressedSize, 8);
+    descriptor.writeUInt32LE(this.entry.size, 12);
+    await this.send(descriptor);
+    this.entries.push(this.entry);
+    this.entry = null;
+  }
+
+  async addEntry(name, text) {
+    await this.beginEntry(name);
+    await this.writeEntry(text);
+    await this.endEntry();
+  }
+
+  // Writes the fixed parts and opens the sheet with a header row
+  async start(header) {
+    for (const [name, text] of Object.entries(STATIC_PARTS)) await this.addEntry(name, text);
+    await this.addEntry(
+      "xl/workbook.xml",
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+        'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        `<sheets><sheet name="${escapeXml(this.sheetName)}" sheetId="1" r:id="rId1"/></sheets></workbook>`
+    );
+    await this.beginEntry("xl/worksheets/sheet1.xml");
+    this.pending =
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+      '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>';
+    await this.writeRow(header);
+  }
+
+  async writeRow(values) {
+    const r = ++this.rows;
+    this.pending += `<row r="${r}">${values.map((value, i) => cell(value, `${columnName(i)}${r}`)).join("")}</row>`;
+    if (this.pending.length >= CHUNK_CHARS) {
+      await this.writeEntry(this.pending);
+      this.pending = "";
+    }
+  }
+
+  // Closes the sheet, writes the zip directory and ends the output
+  async end() {
+    await this.writeEntry(`${this.pending}</sheetData></worksheet>`);
+    this.pending = "";
+    await this.endEntry();
+
+    const directoryOffset = this.offset;
+    const records = this.entries.map((entry) => {
+      const record = Buffer.alloc(46);
+      record.writeUInt32LE(0x02014b50, 0);
+      record.writeUInt16LE(ZIP_VERSION, 4);
+      record.writeUInt16LE(ZIP_VERSION, 6);
+      record.writeUInt16LE(ZIP_FLAGS, 8);
+      record.writeUInt16LE(DEFLATE, 10);
+      record.writeUInt16LE(this.stamp.time, 12);
+      record.writeUInt16LE(this.stamp.date, 14);
+      record.writeUInt32LE(entry.crc, 16);
+      record.writeUInt32LE(entry.compressedSize, 20);
+      record.writeUInt32LE(entry.size, 24);
+      record.writeUInt16LE(entry.fileName.length, 28);
+      // Extra field, comment, disk number and attributes (30-41) stay 0
+      record.writeUInt32LE(entry.offset, 42);
+      return Buffer.concat([record, entry.fileName]);
+    });
+    const directory = Buffer.concat(records);
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(directoryOffset, 16);
+
+    await this.send(Buffer.concat([directory, end]));
+    this.output.end();
+  }
+}
+
+export default XlsxWriter;
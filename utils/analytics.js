@@ -0,0 +1,364 @@
+// utils/analytics.js
+
+import { rowsForPatients, patientKey } from "./cacheIndex.js";
+import { DELIVERY_MODE, ageFromDateOfBirth, toIsoDate, toNumber, todayIso } from "./normalize.js";
+import { deliverySourceSchema } from "./patientLifecycle.js";
+
+// Home-page KPIs over any combination of filters. filterCohorts() selects
+// the rows once; summarize() and the other analytics work on that selection.
+//
+// Filters (query parameters, lists are comma-separated):
+//   cohort        all | historical | ongoing
+//   address       ADDRESS values or region names (locality, district or
+//                 state, see configureAnalytics); "all" = no filter
+//   from, to      YYYY-MM-DD; keeps visits, deliveries and babies dated in
+//                 the range, and patients with at least one of them
+//   ageBand       bands like 20-24, <20, 40+ (ageMin / ageMax also accepted);
+//                 age at each delivery or visit, and today's age for
+//                 patients without either
+//   bmiStatus     BMI_STATUS values
+//   gravida       values or bands, e.g. 1 or 2-3 or 4+
+//   parity        same as gravida
+//   sourceSchema  SOURCE_SCHEMA values (ongoing patients have none, so this
+//                 filter leaves the ongoing cohort empty)
+//   anaemia       yes | no: any visit with haemoglobin below 11 g/dL
+
+export class AnalyticsQueryError extends Error { }
+
+// A numeric query parameter within [min, max] (above `above`, when given),
+// or `fallback` when it is absent
+export function queryNumber(query, name, { fallback = null, min = -Infinity, max = Infinity, above = null, integer = true } = {}) {
+  if (query[name] === undefined || query[name] === "") return fallback;
+  const n = Number(query[name]);
+  if (Number.isNaN(n) || n < min || n > max || (above !== null && n <= above) || (integer && !Number.isInteger(n))) {
+    const bounds =
+      above !== null ? ` above ${above}`
+        : Number.isFinite(min) && Number.isFinite(max) ? ` between ${min} and ${max}`
+          : Number.isFinite(min) ? ` of at least ${min}` : "";
+    throw new AnalyticsQueryError(`${name} must be a ${integer ? "whole number" : "number"}${bounds}`);
+  }
+  return n;
+}
+
+export const COHORTS = ["historical", "ongoing"];
+
+// WHO threshold for anaemia in pregnancy
+export const ANAEMIA_HB_THRESHOLD = 11;
+// WHO definitions: low birth weight under 2500 g; an APGAR below 7 is low
+export const LOW_BIRTH_WEIGHT_KG = 2.5;
+export const LOW_APGAR = 7;
+
+// resolveRegion(address) -> { locality, district, state } or null, set at
+// startup from the gazetteer
+let resolveRegion = () => null;
+
+export function configureAnalytics(options = {}) {
+  if (options.resolveRegion) resolveRegion = options.resolveRegion;
+}
+
+// Lower-case names an address answers to: itself and its regions
+function addressTerms(address) {
+  const region = resolveRegion(address);
+  return [address, region?.locality, region?.district, region?.state]
+    .filter(Boolean)
+    .map((name) => String(name).trim().toLowerCase());
+}
+
+// True when `address` is, or lies in, one of the lower-case `wanted` names
+// (the patient lists filter addresses the same way)
+export function matchesAddress(address, wanted) {
+  return !wanted.length || addressTerms(address).some((term) => wanted.includes(term));
+}
+
+const FILTER_PARAMS = ["cohort", "address", "from", "to", "ageBand", "ageMin", "ageMax", "bmiStatus", "gravida", "parity", "sourceSchema", "anaemia"];
+
+function parseList(value) {
+  if (value === undefined || value === null || value === "") return [];
+  return String(value).split(",").map((v) => v.trim()).filter(Boolean);
+}
+
+// "20-24" -> [20, 24], "<20" -> [-Inf, 19], "40+" -> [40, Inf], "3" -> [3, 3]
+function parseBand(name, text) {
+  let m = text.match(/^(\d+)\s*-\s*(\d+)$/);
+  if (m && Number(m[1]) <= Number(m[2])) return [Number(m[1]), Number(m[2])];
+  m = text.match(/^<\s*(\d+)$/);
+  if (m) return [-Infinity, Number(m[1]) - 1];
+  m = text.match(/^(\d+)\s*\+$/);
+  if (m) return [Number(m[1]), Infinity];
+  m = text.match(/^\d+$/);
+  if (m) return [Number(text), Number(text)];
+  throw new AnalyticsQueryError(`Invalid ${name} "${text}" (use e.g. 20-24, <20, 40+ or 3)`);
+}
+
+function parseDate(query, name) {
+  if (query[name] === undefined || query[name] === "") return null;
+  const iso = toIsoDate(String(query[name]));
+  if (!iso) throw new AnalyticsQueryError(`${name} must be a date (YYYY-MM-DD)`);
+  return iso;
+}
+
+export function hasAnalyticsFilters(query) {
+  return FILTER_PARAMS.some((name) => query[name] !== undefined);
+}
+
+export function parseAnalyticsFilters(query = {}) {
+  const cohort = String(query.cohort || "all").toLowerCase();
+  if (cohort !== "all" && !COHORTS.includes(cohort)) {
+    throw new AnalyticsQueryError("cohort must be all, historical or ongoing");
+  }
+
+  const ageBands = parseList(query.ageBand).map((band) => parseBand("ageBand", band));
+  if (query.ageMin !== undefined || query.ageMax !== undefined) {
+    const min = query.ageMin === undefined ? -Infinity : Number(query.ageMin);
+    const max = query.ageMax === undefined ? Infinity : Number(query.ageMax);
+    if (Number.isNaN(min) || Number.isNaN(max)) throw new AnalyticsQueryError("ageMin and ageMax must be numbers");
+    ageBands.push([min, max]);
+  }
+
+  let anaemia = null;
+  if (query.anaemia !== undefined && query.anaemia !== "") {
+    const value = String(query.anaemia).toLowerCase();
+    if (!["yes", "no", "true", "false"].includes(value)) throw new AnalyticsQueryError("anaemia must be yes or no");
+    anaemia = value === "yes" || value === "true";
+  }
+
+  const filters = {
+    cohorts: cohort === "all" ? COHORTS : [cohort],
+    address: parseList(query.address).filter((a) => a.toLowerCase() !== "all").map((a) => a.toLowerCase()),
+    from: parseDate(query, "from"),
+    to: parseDate(query, "to"),
+    ageBands,
+    bmiStatus: parseList(query.bmiStatus).map((s) => s.toLowerCase()),
+    gravida: parseList(query.gravida).map((g) => parseBand("gravida", g)),
+    parity: parseList(query.parity).map((p) => parseBand("parity", p)),
+    sourceSchema: parseList(query.sourceSchema).map((s) => s.toUpperCase()),
+    anaemia,
+  };
+  if (filters.from && filters.to && filters.from > filters.to) {
+    throw new AnalyticsQueryError("from must not be after to");
+  }
+  return filters;
+}
+
+// The filters as they were applied, for echoing back in responses
+export function describeFilters(filters) {
+  const bands = (list) => list.map(([min, max]) =>
+    min === max ? `${min}` : min === -Infinity ? `<${max + 1}` : max === Infinity ? `${min}+` : `${min}-${max}`
+  );
+  return {
+    cohort: filters.cohorts.length === COHORTS.length ? "all" : filters.cohorts[0],
+    address: filters.address,
+    from: filters.from,
+    to: filters.to,
+    ageBand: bands(filters.ageBands),
+    bmiStatus: filters.bmiStatus,
+    gravida: bands(filters.gravida),
+    parity: bands(filters.parity),
+    sourceSchema: filters.sourceSchema,
+    anaemia: filters.anaemia === null ? null : filters.anaemia ? "yes" : "no",
+  };
+}
+
+function inBands(bands, value) {
+  if (!bands.length) return true;
+  const n = toNumber(value);
+  return n !== null && bands.some(([min, max]) => n >= min && n <= max);
+}
+
+// Any of the visits with haemoglobin below the anaemia threshold
+export function hasAnaemicVisit(visits) {
+  return visits.some((v) => {
+    const hb = toNumber(v.HEMOGLOBIN_LEVEL);
+    return hb !== null && hb > 0 && hb < ANAEMIA_HB_THRESHOLD;
+  });
+}
+
+function isAnaemic(indexes, patientId) {
+  return hasAnaemicVisit(indexes.visitsByPatient.get(patientKey(patientId)) || []);
+}
+
+// Her age on a YYYY-MM-DD date: from DATE_OF_BIRTH, else her age today
+// less the years since. Without a date, her age today.
+export function ageOn(patient, date, today = todayIso()) {
+  const current = toNumber(patient.AGE);
+  if (!date) return current;
+  const age = ageFromDateOfBirth(patient.DATE_OF_BIRTH, date);
+  if (age !== null) return age;
+  return current === null ? null : current - (Number(today.slice(0, 4)) - Number(date.slice(0, 4)));
+}
+
+// Whether her age was in one of the bands at any of her deliveries or visits
+function ageMatches(patient, bands, indexes) {
+  if (!bands.length) return true;
+  const id = patientKey(patient.PATIENT_ID);
+  const dated = [
+    ...(indexes.deliveriesByPatient.get(id) || []).map((d) => d.DELIVERY_DATE),
+    ...(indexes.visitsByPatient.get(id) || []).map((v) => v.VISIT_DATE),
+  ].filter(Boolean);
+  if (!dated.length) return inBands(bands, patient.AGE);
+  return dated.some((date) => inBands(bands, ageOn(patient, date)));
+}
+
+function matchesPatient(patient, f, indexes) {
+  const lower = (v) => String(v ?? "").toLowerCase();
+  return (
+    matchesAddress(patient.ADDRESS, f.address) &&
+    (!f.bmiStatus.length || f.bmiStatus.includes(lower(patient.BMI_STATUS))) &&
+    (!f.sourceSchema.length || f.sourceSchema.includes(String(patient.SOURCE_SCHEMA ?? "").toUpperCase())) &&
+    ageMatches(patient, f.ageBands, indexes) &&
+    inBands(f.gravida, patient.GRAVIDA) &&
+    inBands(f.parity, patient.PARITY) &&
+    (f.anaemia === null || isAnaemic(indexes, patient.PATIENT_ID) === f.anaemia)
+  );
+}
+
+function inRange(date, f) {
+  if (!f.from && !f.to) return true;
+  return Boolean(date) && (!f.from || date >= f.from) && (!f.to || date <= f.to);
+}
+
+function emptySelection() {
+  return { patients: [], visits: [], deliveries: [], babies: [], babyDeliveries: new Map() };
+}
+
+function hasPatientFilters(f) {
+  return f.anaemia !== null || [f.address, f.bmiStatus, f.sourceSchema, f.ageBands, f.gravida, f.parity].some((list) => list.length);
+}
+
+// Babies carry no date of their own; they are dated by their delivery
+function babyDeliveries(indexes, patientIds) {
+  const result = new Map();
+  patientIds.forEach((id) => {
+    const model = indexes.pregnanciesByPatient.get(patientKey(id));
+    model?.pregnancies.forEach((p) => p.deliveries.forEach((d) => d.babies.forEach((baby) => result.set(baby, d))));
+  });
+  return result;
+}
+
+function selectCohort(cache, f) {
+  if (!cache?.loaded) return emptySelection();
+  const { indexes } = cache;
+
+  // Without patient filters every row counts, including rows whose patient
+  // is missing from the patients view
+  let patients = cache.patients || [];
+  let visits = cache.visits || [];
+  let deliveries = cache.deliveries || [];
+  let babies = cache.babies || [];
+  let ids = [...indexes.pregnanciesByPatient.keys()];
+  if (hasPatientFilters(f)) {
+    patients = patients.filter((p) => matchesPatient(p, f, indexes));
+    ids = [...new Set(patients.map((p) => p.PATIENT_ID))];
+    visits = rowsForPatients(indexes.visitsByPatient, ids);
+    deliveries = rowsForPatients(indexes.deliveriesByPatient, ids);
+    babies = rowsForPatients(indexes.babiesByPatient, ids);
+  }
+  const deliveryOf = babyDeliveries(indexes, ids);
+
+  if (f.ageBands.length) {
+    // Only the deliveries and visits at which she was in the band
+    const atAge = (row, date) => {
+      const patient = indexes.patientsById.get(patientKey(row.PATIENT_ID));
+      return Boolean(patient) && inBands(f.ageBands, ageOn(patient, date));
+    };
+    visits = visits.filter((v) => atAge(v, v.VISIT_DATE));
+    deliveries = deliveries.filter((d) => atAge(d, d.DELIVERY_DATE));
+    babies = babies.filter((b) => atAge(b, deliveryOf.get(b)?.DELIVERY_DATE));
+  }
+
+  if (f.from || f.to) {
+    visits = visits.filter((v) => inRange(v.VISIT_DATE, f));
+    deliveries = deliveries.filter((d) => inRange(d.DELIVERY_DATE, f));
+    babies = babies.filter((b) => inRange(deliveryOf.get(b)?.DELIVERY_DATE, f));
+    const active = new Set([...visits, ...deliveries].map((row) => patientKey(row.PATIENT_ID)));
+    patients = patients.filter((p) => active.has(patientKey(p.PATIENT_ID)));
+  }
+
+  // babyDeliveries: baby row -> its delivery (absent for unlinked babies)
+  return { patients, visits, deliveries, babies, babyDeliveries: deliveryOf };
+}
+
+// caches: { historical, ongoing } -> rows of each cohort that pass the filters
+export function filterCohorts(caches, filters) {
+  return Object.fromEntries(
+    COHORTS.map((cohort) => [cohort, filters.cohorts.includes(cohort) ? selectCohort(caches[cohort], filters) : emptySelection()])
+  );
+}
+
+export const OUTCOMES = ["MATURED", "PREMATURE", "MORTALITY"];
+
+// Baby rows of the selection grouped by their delivery row
+export function babiesByDelivery(cohortSelection) {
+  const result = new Map();
+  cohortSelection.babies.forEach((baby) => {
+    const delivery = cohortSelection.babyDeliveries.get(baby);
+    if (!delivery) return;
+    if (!result.has(delivery)) result.set(delivery, []);
+    result.get(delivery).push(baby);
+  });
+  return result;
+}
+
+// MATURED / PREMATURE / MORTALITY: the view's SOURCE_SCHEMA, or derived
+// from the delivery and its babies when the row has none
+export function deliveryOutcome(delivery, babies = []) {
+  return OUTCOMES.includes(delivery.SOURCE_SCHEMA) ? delivery.SOURCE_SCHEMA : deliverySourceSchema(delivery, babies);
+}
+
+const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 100) : 0);
+
+// The home-page KPI set. countPersons(cohort, patients) lets confirmed
+// duplicate records count once.
+export function summarize(selection, { countPersons = (cohort, patients) => patients.length, today = todayIso() } = {}) {
+  const { historical, ongoing } = selection;
+
+  const totalHospitalPatients = countPersons("historical", historical.patients);
+  const totalOngoingPatients = countPersons("ongoing", ongoing.patients);
+
+  let normalDeliveryCount = 0;
+  let cSectionDeliveryCount = 0;
+  historical.deliveries.forEach((delivery) => {
+    const mode = delivery.DELIVERY_MODE_CATEGORY;
+    if (mode === DELIVERY_MODE.VAGINAL || mode === DELIVERY_MODE.ASSISTED_VAGINAL) {
+      normalDeliveryCount++;
+    } else if (mode === DELIVERY_MODE.C_SECTION) {
+      cSectionDeliveryCount++;
+    }
+  });
+  const totalDeliveries = normalDeliveryCount + cSectionDeliveryCount;
+
+  const todaysAppointments =
+    historical.visits.filter((v) => v.VISIT_DATE === today).length +
+    ongoing.visits.filter((v) => v.VISIT_DATE === today).length;
+
+  // Delivery types: babies by SOURCE_SCHEMA, mortality by mother
+  const maturedCount = historical.babies.filter((b) => b.SOURCE_SCHEMA === "MATURED").length;
+  const prematureCount = historical.babies.filter((b) => b.SOURCE_SCHEMA === "PREMATURE").length;
+  const mortalityCount = countPersons("historical", historical.patients.filter((p) => p.SOURCE_SCHEMA === "MORTALITY"));
+  const totalBabiesWithType = maturedCount + prematureCount + mortalityCount;
+
+  return {
+    totalPatients: totalHospitalPatients + totalOngoingPatients,
+    activePregnancies: totalOngoingPatients,
+    historicalPatients: totalHospitalPatients,
+
+    normalDeliveryCount,
+    cSectionDeliveryCount,
+    totalDeliveries,
+    totalBabies: historical.babies.length,
+
+    todaysAppointments,
+
+    normalDeliveryRate: percent(normalDeliveryCount, totalDeliveries),
+    cSectionRate: percent(cSectionDeliveryCount, totalDeliveries),
+
+    deliveryTypes: {
+      matured: percent(maturedCount, totalBabiesWithType),
+      premature: percent(prematureCount, totalBabiesWithType),
+      mortality: percent(mortalityCount, totalBabiesWithType),
+      maturedCount,
+      prematureCount,
+      mortalityCount,
+    },
+  };
+}
@@ -0,0 +1,209 @@
+// utils/analyticsTrends.js
+
+import { AnalyticsQueryError, queryNumber } from "./analytics.js";
+import { DELIVERY_MODE, toNumber, toYesNo } from "./normalize.js";
+
+// Delivery outcome series bucketed by month, quarter or year, built from an
+// analytics selection (filterCohorts). Every period between the first and
+// last delivery (or the from/to filter) is present, so the arrays line up
+// with `periods` and can go straight into a chart.
+//
+// Each metric is a ratio of per-period sums (numerator / denominator), which
+// lets the rolling average pool the periods in its window instead of
+// averaging rates of very different sizes.
+
+export const GRANULARITIES = {
+  month: { perYear: 12, defaultWindow: 3 },
+  quarter: { perYear: 4, defaultWindow: 4 },
+  year: { perYear: 1, defaultWindow: 3 },
+};
+
+const MAX_WINDOW = 24;
+// 50 years of months
+const MAX_PERIODS = 600;
+
+function isPremature(delivery) {
+  if (delivery.SOURCE_SCHEMA) return delivery.SOURCE_SCHEMA === "PREMATURE";
+  const ga = toNumber(delivery.GESTATIONAL_AGE_AT_DELIVERY);
+  return ga !== null && ga < 37;
+}
+
+// count(row) -> [numerator, denominator] for one delivery or baby, or null
+// when the row has no usable value
+const METRICS = {
+  deliveries: {
+    label: "Deliveries", unit: "count", source: "deliveries",
+    count: () => [1, 0],
+  },
+  cSectionRate: {
+    label: "C-section rate", unit: "%", source: "deliveries", scale: 100,
+    count: (d) => (d.DELIVERY_MODE_CATEGORY ? [Number(d.DELIVERY_MODE_CATEGORY === DELIVERY_MODE.C_SECTION), 1] : null),
+  },
+  prematureRate: {
+    label: "Premature rate", unit: "%", source: "deliveries", scale: 100,
+    count: (d) => [Number(isPremature(d)), 1],
+  },
+  mortalityCount: {
+    label: "Mortality", unit: "count", source: "deliveries",
+    count: (d) => [Number(d.SOURCE_SCHEMA === "MORTALITY"), 0],
+  },
+  nicuAdmissionRate: {
+    label: "NICU admission rate", unit: "%", source: "babies", scale: 100,
+    count: (b) => {
+      const admitted = toYesNo(b.NICU_ADMISSION);
+      return admitted === null ? null : [Number(admitted), 1];
+    },
+  },
+  averageLengthOfStay: {
+    label: "Average length of stay", unit: "days", source: "deliveries",
+    count: (d) => {
+      const days = toNumber(d.LENGTH_OF_STAY);
+      return days === null ? null : [days, 1];
+    },
+  },
+};
+
+export function parseTrendOptions(query = {}) {
+  const granularity = String(query.granularity || "month").toLowerCase();
+  const config = GRANULARITIES[granularity];
+  if (!config) {
+    throw new AnalyticsQueryError(`granularity must be one of ${Object.keys(GRANULARITIES).join(", ")}`);
+  }
+
+  const window = queryNumber(query, "window", { fallback: config.defaultWindow, min: 1, max: MAX_WINDOW });
+
+  let metrics = Object.keys(METRICS);
+  if (query.metrics) {
+    metrics = String(query.metrics).split(",").map((m) => m.trim()).filter(Boolean);
+    const unknown = metrics.filter((m) => !METRICS[m]);
+    if (unknown.length) {
+      throw new AnalyticsQueryError(`Unknown metrics: ${unknown.join(", ")} (available: ${Object.keys(METRICS).join(", ")})`);
+    }
+  }
+
+  return { granularity, window, metrics };
+}
+
+// "2024-07-24" -> "2024-07" | "2024-Q3" | "2024"
+function periodOf(date, granularity) {
+  const [year, month] = date.split("-").map(Number);
+  if (granularity === "year") return `${year}`;
+  if (granularity === "quarter") return `${year}-Q${Math.ceil(month / 3)}`;
+  return `${year}-${String(month).padStart(2, "0")}`;
+}
+
+// Position on a continuous scale, so periods can be enumerated and compared
+function periodIndex(date, granularity) {
+  const [year, month] = date.split("-").map(Number);
+  const { perYear } = GRANULARITIES[granularity];
+  return year * perYear + Math.floor(((month - 1) * perYear) / 12);
+}
+
+function periodLabel(index, granularity) {
+  const { perYear } = GRANULARITIES[granularity];
+  const year = Math.floor(index / perYear);
+  const month = (index % perYear) * (12 / perYear) + 1;
+  return periodOf(`${year}-${String(month).padStart(2, "0")}-01`, granularity);
+}
+
+const round = (value) => (value === null ? null : Math.round(value * 10) / 10);
+
+function ratio(num, den, metric, periods) {
+  // Counts are per period, so their "denominator" is the number of periods
+  const divisor = metric.unit === "count" ? periods : den;
+  return divisor > 0 ? (num / divisor) * (metric.scale || 1) : null;
+}
+
+// selection: filterCohorts() result; dates of babies come from their delivery
+export function buildTrends(selection, { granularity = "month", window, metrics = Object.keys(METRICS), from, to } = {}) {
+  const config = GRANULARITIES[granularity];
+  const rollingWindow = window || config.defaultWindow;
+  const { deliveries, babies, babyDeliveries } = selection.historical;
+
+  const dated = {
+    deliveries: deliveries.filter((d) => d.DELIVERY_DATE).map((d) => [d.DELIVERY_DATE, d]),
+    babies: babies
+      .map((b) => [babyDeliveries.get(b)?.DELIVERY_DATE, b])
+      .filter(([date]) => date),
+  };
+
+  const dates = dated.deliveries.map(([date]) => date).sort();
+  const first = from || dates[0];
+  const last = to || dates[dates.length - 1];
+  if (!first || !last) {
+    return { granularity, window: rollingWindow, periods: [], series: {} };
+  }
+
+  const start = periodIndex(first, granularity);
+  const end = periodIndex(last, granularity);
+  const size = end - start + 1;
+  if (size > MAX_PERIODS) {
+    throw new AnalyticsQueryError(
+      `${first} to ${last} spans ${size} ${granularity}s; at most ${MAX_PERIODS} periods are returned. Narrow from/to or use a coarser granularity`
+    );
+  }
+  const periods = Array.from({ length: size }, (_, i) => periodLabel(start + i, granularity));
+
+  const series = {};
+  metrics.forEach((name) => {
+    const metric = METRICS[name];
+    const num = new Array(size).fill(0);
+    const den = new Array(size).fill(0);
+    const samples = new Array(size).fill(0);
+
+    dated[metric.source].forEach(([date, row]) => {
+      const i = periodIndex(date, granularity) - start;
+      if (i < 0 || i >= size) return;
+      const counted = metric.count(row);
+      if (!counted) return;
+      num[i] += counted[0];
+      den[i] += counted[1];
+      samples[i]++;
+    });
+
+    const values = periods.map((_, i) => ratio(num[i], den[i], metric, 1));
+
+    const rollingAverage = periods.map((_, i) => {
+      if (i + 1 < rollingWindow) return null;
+      const sum = (list) => list.slice(i + 1 - rollingWindow, i + 1).reduce((a, b) => a + b, 0);
+      return ratio(sum(num), sum(den), metric, rollingWindow);
+    });
+
+    // Same period one year earlier, when it falls inside the range
+    const previousYear = periods.map((_, i) => (i >= config.perYear ? values[i - config.perYear] : null));
+    const yearOverYearChange = values.map((value, i) =>
+      value === null || previousYear[i] === null ? null : value - previousYear[i]
+    );
+
+    series[name] = {
+      label: metric.label,
+      unit: metric.unit,
+      values: values.map(round),
+      samples,
+      rollingAverage: rollingAverage.map(round),
+      previousYear: previousYear.map(round),
+      yearOverYearChange: yearOverYearChange.map(round),
+    };
+  });
+
+  return { granularity, window: rollingWindow, periods, series };
+}
+
+// One row per period, for the CSV / Excel export
+export function trendTable({ periods, series }) {
+  return periods.map((period, i) => ({
+    period,
+    ...Object.fromEntries(
+      Object.entries(series).map(([name, s]) => [
+        name,
+        {
+          value: s.values[i],
+          samples: s.samples[i],
+          rollingAverage: s.rollingAverage[i],
+          previousYear: s.previousYear[i],
+          yearOverYearChange: s.yearOverYearChange[i],
+        },
+      ])
+    ),
+  }));
+}
@@ -0,0 +1,190 @@
+// utils/ancSchedule.js
+
+import { AnalyticsQueryError, queryNumber } from "./analytics.js";
+import { toNumber, todayIso } from "./normalize.js";
+import { patientSummary } from "./patientList.js";
+
+// Expected antenatal contacts for ongoing pregnancies. The pregnancy is
+// dated from its earliest visit with a gestational age (the most reliable,
+// usually the dating scan), which gives a calendar date for every contact.
+//
+// Contact i covers gestational weeks (week[i-1], week[i]]; any visit in
+// that window counts. An unattended contact is
+//   overdue   its week has passed, but by no more than graceWeeks
+//   missed    more than graceWeeks ago
+//   upcoming  still ahead
+// Adherence is attended / (attended + missed); overdue contacts can still
+// be made and don't count either way.
+
+// WHO 2016 recommendation: eight contacts
+export const WHO_ANC_SCHEDULE = [12, 20, 26, 30, 34, 36, 38, 40];
+
+const DEFAULT_GRACE_WEEKS = 2;
+const DEFAULT_UPCOMING_DAYS = 14;
+const MAX_UPCOMING_DAYS = 120;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseWeeks(value) {
+  const weeks = String(value).split(",").map((w) => Number(w.trim()));
+  if (!weeks.length || weeks.some((w) => !Number.isInteger(w) || w < 4 || w > 42)) {
+    throw new AnalyticsQueryError("schedule must be comma-separated gestational weeks between 4 and 42");
+  }
+  if (weeks.some((w, i) => i > 0 && w <= weeks[i - 1])) {
+    throw new AnalyticsQueryError("schedule weeks must be increasing");
+  }
+  return weeks;
+}
+
+// defaults.schedule is the configured schedule (ANC_SCHEDULE_WEEKS)
+export function parseScheduleOptions(query = {}, defaults = {}) {
+  return {
+    schedule: query.schedule !== undefined ? parseWeeks(query.schedule) : defaults.schedule || WHO_ANC_SCHEDULE,
+    graceWeeks: queryNumber(query, "graceWeeks", { fallback: DEFAULT_GRACE_WEEKS, min: 0, max: 8 }),
+    days: queryNumber(query, "days", { fallback: DEFAULT_UPCOMING_DAYS, min: 0, max: MAX_UPCOMING_DAYS }),
+  };
+}
+
+export function parseScheduleWeeks(value) {
+  return value ? parseWeeks(value) : WHO_ANC_SCHEDULE;
+}
+
+export const addDays = (iso, days) => new Date(Date.parse(`${iso}T00:00:00Z`) + Math.round(days) * DAY_MS).toISOString().slice(0, 10);
+export const daysBetween = (from, to) => Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+
+// Day 0 of the pregnancy (gestational age 0) from the earliest dated visit
+export function pregnancyStart(visits) {
+  const dated = visits
+    .filter((v) => v.VISIT_DATE && toNumber(v.GESTATIONAL_AGE_WEEKS) !== null)
+    .sort((a, b) => a.VISIT_DATE.localeCompare(b.VISIT_DATE));
+  if (!dated.length) return null;
+  return addDays(dated[0].VISIT_DATE, -toNumber(dated[0].GESTATIONAL_AGE_WEEKS) * 7);
+}
+
+export const gestationalAgeOn = (start, date) => daysBetween(start, date) / 7;
+export const estimatedDueDate = (start) => addDays(start, 280);
+
+// Full schedule for one pregnancy's visits
+export function buildSchedule(visits, { schedule = WHO_ANC_SCHEDULE, graceWeeks = DEFAULT_GRACE_WEEKS, today = todayIso() } = {}) {
+  const start = pregnancyStart(visits);
+  if (!start) return null;
+
+  const currentWeeks = gestationalAgeOn(start, today);
+  const lastVisitDate = visits.map((v) => v.VISIT_DATE).filter(Boolean).sort().pop() || null;
+
+  const contacts = schedule.map((week, i) => {
+    const fromWeek = i === 0 ? 0 : schedule[i - 1];
+    const attendedOn = visits
+      .filter((v) => {
+        if (!v.VISIT_DATE) return false;
+        const ga = toNumber(v.GESTATIONAL_AGE_WEEKS) ?? gestationalAgeOn(start, v.VISIT_DATE);
+        return ga > fromWeek && ga <= week;
+      })
+      .map((v) => v.VISIT_DATE)
+      .sort();
+    const dueDate = addDays(start, week * 7);
+
+    let status = "upcoming";
+    if (attendedOn.length) status = "attended";
+    else if (currentWeeks > week + graceWeeks) status = "missed";
+    else if (currentWeeks > week) status = "overdue";
+
+    return {
+      contact: i + 1,
+      week,
+      window: [fromWeek, week],
+      dueDate,
+      daysUntilDue: daysBetween(today, dueDate),
+      status,
+      attendedOn,
+    };
+  });
+
+  const count = (status) => contacts.filter((c) => c.status === status).length;
+  const attended = count("attended");
+  const missed = count("missed");
+  return {
+    pregnancyStart: start,
+    estimatedDueDate: estimatedDueDate(start),
+    gestationalAgeWeeks: Math.round(currentWeeks * 10) / 10,
+    lastVisitDate,
+    contacts,
+    attended,
+    missed,
+    overdue: count("overdue"),
+    upcoming: count("upcoming"),
+    adherenceRate: attended + missed ? Math.round((attended / (attended + missed)) * 1000) / 10 : null,
+    nextContact: contacts.find((c) => c.status === "upcoming" || c.status === "overdue") || null,
+  };
+}
+
+// Schedules for every ongoing patient.
+//   personOf(patient) -> { ids, visits } or null to skip (e.g. a linked
+//                        secondary record); defaults to the patient's own visits
+//   clinicOf(patient, visits) -> clinic name
+export function ongoingSchedules(cache, options = {}) {
+  const { indexes } = cache;
+  const personOf = options.personOf || ((p) => ({ visits: indexes.visitsByPatient.get(Number(p.PATIENT_ID)) || [] }));
+  const clinicOf = options.clinicOf || (() => null);
+
+  const schedules = [];
+  let undated = 0;
+  (cache.patients || []).forEach((patient) => {
+    const person = personOf(patient);
+    if (!person) return;
+    const schedule = buildSchedule(person.visits, options);
+    if (!schedule) {
+      undated++;
+      return;
+    }
+    schedules.push({ patient: patientSummary(patient), clinic: clinicOf(patient, person.visits), ...schedule });
+  });
+  return { schedules, undated };
+}
+
+// Unattended contacts due between today and `days` from now
+export function upcomingContacts(schedules, { days = DEFAULT_UPCOMING_DAYS } = {}) {
+  return schedules
+    .flatMap(({ patient, clinic, gestationalAgeWeeks, contacts }) =>
+      contacts
+        .filter((c) => c.status === "upcoming" && c.daysUntilDue >= 0 && c.daysUntilDue <= days)
+        .map((c) => ({ patient, clinic, gestationalAgeWeeks, ...c }))
+    )
+    .sort((a, b) => a.daysUntilDue - b.daysUntilDue || a.patient.PATIENT_ID - b.patient.PATIENT_ID);
+}
+
+// Patients with overdue or missed contacts, most missed first
+export function overduePatients(schedules) {
+  return schedules
+    .filter((s) => s.overdue || s.missed)
+    .map(({ patient, clinic, gestationalAgeWeeks, lastVisitDate, contacts, overdue, missed, adherenceRate }) => ({
+      patient,
+      clinic,
+      gestationalAgeWeeks,
+      lastVisitDate,
+      overdue,
+      missed,
+      adherenceRate,
+      contacts: contacts.filter((c) => c.status === "overdue" || c.status === "missed"),
+    }))
+    .sort((a, b) => b.missed - a.missed || b.overdue - a.overdue || a.patient.PATIENT_ID - b.patient.PATIENT_ID);
+}
+
+export function clinicAdherence(schedules, { days = DEFAULT_UPCOMING_DAYS } = {}) {
+  const clinics = new Map();
+  schedules.forEach((s) => {
+    const name = s.clinic ?? "Unknown";
+    if (!clinics.has(name)) {
+      clinics.set(name, { clinic: name, patients: 0, attended: 0, missed: 0, overdue: 0, dueSoon: 0, patientsWithMissed: 0 });
+    }
+    const c = clinics.get(name);
+    c.patients++;
+    c.attended += s.attended;
+    c.missed += s.missed;
+    c.overdue += s.overdue;
+    c.dueSoon += s.contacts.filter((x) => x.status === "upcoming" && x.daysUntilDue >= 0 && x.daysUntilDue <= days).length;
+    if (s.missed) c.patientsWithMissed++;
+  });
+  return [...clinics.values()]
+    .map((c) => ({ ...c, adherenceRate: c.attended + c.missed ? Math.round((c.attended / (c.attended + c.missed)) * 1000) / 10 : null }))
+    .sort((a, b) => (a.adherenceRate ?? 101) - (b.adherenceRate ?? 101) || a.clinic.localeCompare(b.clinic));
+}
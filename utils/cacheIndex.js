@@ -0,0 +1,103 @@
+// utils/cacheIndex.js
+
+import { buildPregnancies } from "./pregnancyModel.js";
+import { toIsoDate } from "./normalize.js";
+
+// Lookup indexes built once per cache load so request handlers avoid
+// scanning the full arrays. Patient IDs are keyed as numbers, matching the
+// Number(...) comparisons the endpoints already use.
+
+export function patientKey(id) {
+  return id === null || id === undefined || id === "" ? null : Number(id);
+}
+
+// Name + date of birth, used to find the same woman in the other cohort
+export function identityKey(patient) {
+  const name = `${patient.FIRST_NAME || ""} ${patient.LAST_NAME || ""}`.toLowerCase().replace(/\s+/g, " ").trim();
+  const dob = toIsoDate(patient.DATE_OF_BIRTH);
+  if (!name || !dob) return null;
+  return `${name}|${dob}`;
+}
+
+export function groupBy(rows, keyFn) {
+  const groups = new Map();
+  (rows || []).forEach((row) => {
+    const key = keyFn(row);
+    if (key === null || key === undefined) return;
+    const bucket = groups.get(key);
+    if (bucket) {
+      bucket.push(row);
+    } else {
+      groups.set(key, [row]);
+    }
+  });
+  return groups;
+}
+
+export function buildIndexes(cache) {
+  const patientsById = new Map();
+  (cache.patients || []).forEach((p) => {
+    const key = patientKey(p.PATIENT_ID);
+    // Keep the first row, like Array.prototype.find did
+    if (key !== null && !patientsById.has(key)) patientsById.set(key, p);
+  });
+
+  const byPatient = (row) => patientKey(row.PATIENT_ID);
+  const visitsByPatient = groupBy(cache.visits, byPatient);
+  const deliveriesByPatient = groupBy(cache.deliveries, byPatient);
+  const babiesByPatient = groupBy(cache.babies, byPatient);
+
+  // pregnancy -> delivery -> baby, per mother
+  const pregnanciesByPatient = new Map();
+  new Set([...visitsByPatient.keys(), ...deliveriesByPatient.keys(), ...babiesByPatient.keys()]).forEach((id) => {
+    pregnanciesByPatient.set(
+      id,
+      buildPregnancies(id, visitsByPatient.get(id), deliveriesByPatient.get(id), babiesByPatient.get(id))
+    );
+  });
+
+  return {
+    patientsById,
+    patientsByAddress: groupBy(cache.patients, (p) => p.ADDRESS || null),
+    patientsBySchema: groupBy(cache.patients, (p) => p.SOURCE_SCHEMA || null),
+    patientsByIdentity: groupBy(cache.patients, identityKey),
+    visitsByPatient,
+    deliveriesByPatient,
+    babiesByPatient,
+    pregnanciesByPatient,
+  };
+}
+
+export function emptyIndexes() {
+  return buildIndexes({});
+}
+
+// Rows for a set of patient IDs, in patient order
+export function rowsForPatients(index, patientIds) {
+  return patientIds.flatMap((id) => index.get(patientKey(id)) || []);
+}
+
+// Several records of the same woman (confirmed links) as one person, under
+// the first ID. A single record returns its prebuilt pregnancy model.
+export function personRows(indexes, patientIds) {
+  const ids = patientIds.map(patientKey).filter((id) => indexes.patientsById.has(id));
+  const visits = rowsForPatients(indexes.visitsByPatient, ids);
+  const model =
+    ids.length === 1
+      ? indexes.pregnanciesByPatient.get(ids[0])
+      : buildPregnancies(
+        ids[0],
+        visits,
+        rowsForPatients(indexes.deliveriesByPatient, ids),
+        rowsForPatients(indexes.babiesByPatient, ids)
+      );
+  return {
+    ids,
+    patient: indexes.patientsById.get(ids[0]) || null,
+    records: ids.map((id) => indexes.patientsById.get(id)),
+    visits,
+    pregnancies: model?.pregnancies || [],
+    unlinkedBabies: model?.unlinkedBabies || [],
+    unassignedVisits: model?.unassignedVisits || [],
+  };
+}
@@ -0,0 +1,193 @@
+// utils/cacheRefresh.js
+
+import { buildIndexes } from "./cacheIndex.js";
+import { TABLES, ROW_KEYS, DEFAULT_CHANGE_COLUMN } from "./tables.js";
+import { normalizeRows } from "./normalize.js";
+
+// Reloads every table of one cache and swaps the result in with a single
+// synchronous assignment, so requests see either the old or the new data.
+// Tables that carry the change column and row keys only fetch rows changed
+// since the previous refresh; everything else is reloaded in full.
+// Rows deleted at the source only disappear on a full refresh.
+// Changes applied with applyCacheChanges while the tables are being fetched
+// are applied again on top of the result, so they aren't lost in the swap.
+export async function refreshCache(cache, cacheName, dataSource, options = {}) {
+  const { full = false, changeColumn = DEFAULT_CHANGE_COLUMN } = options;
+  const startTime = Date.now();
+  const watermarks = cache.lastRefresh?.watermarks || {};
+
+  const tableNames = Object.keys(TABLES[cacheName]);
+  const pendingChanges = [];
+  cache.pendingChanges = pendingChanges;
+  let results;
+  try {
+    results = await Promise.all(
+      tableNames.map((tableName) =>
+        refreshTable(cache, cacheName, tableName, dataSource, {
+          since: full || !cache.loaded ? null : watermarks[tableName],
+          changeColumn,
+        })
+      )
+    );
+  } finally {
+    if (cache.pendingChanges === pendingChanges) cache.pendingChanges = null;
+  }
+
+  let next = {};
+  const tables = {};
+  const nextWatermarks = {};
+  results.forEach(({ tableName, rows, watermark, report }) => {
+    next[tableName] = rows;
+    tables[tableName] = report;
+    if (watermark) nextWatermarks[tableName] = watermark;
+  });
+  pendingChanges.forEach(({ changes, remove }) => {
+    next = withChanges(next, cacheName, changes, remove, { replay: true });
+  });
+
+  const refreshedAt = new Date().toISOString();
+  Object.assign(cache, next, {
+    indexes: buildIndexes(next),
+    loaded: true,
+    error: null,
+    lastRefresh: { at: refreshedAt, full, watermarks: nextWatermarks },
+  });
+
+  return {
+    cache: cacheName,
+    refreshedAt,
+    durationMs: Date.now() - startTime,
+    tables,
+  };
+}
+
+// Applies rows this server just wrote to the data source, without waiting
+// for the next refresh: changes = { tableName: [rows] }. Rows replace the
+// cached row with the same key, or are appended; { remove: { tableName:
+// predicate } } drops rows. Indexes are rebuilt and swapped in the same way
+// as a refresh.
+export function applyCacheChanges(cache, cacheName, changes, { remove = {} } = {}) {
+  // A refresh in flight would otherwise swap in rows fetched before this write
+  if (cache.pendingChanges) cache.pendingChanges.push({ changes, remove });
+
+  const next = withChanges(cache, cacheName, changes, remove);
+  Object.assign(cache, next, { indexes: buildIndexes(next) });
+  return cache;
+}
+
+// { tableName: rows } with `changes` merged in and `remove` applied. On a
+// replay the refresh may already have fetched a row that has no key, so
+// rows identical to one already there are skipped.
+function withChanges(current, cacheName, changes, remove, { replay = false } = {}) {
+  const next = {};
+  Object.keys(TABLES[cacheName]).forEach((tableName) => {
+    let rows = current[tableName] || [];
+    if (remove[tableName]) rows = rows.filter((row) => !remove[tableName](row));
+
+    const changed = normalizeRows(tableName, changes[tableName]);
+    if (!changed.length) {
+      next[tableName] = rows;
+      return;
+    }
+    const keyColumns = (ROW_KEYS[cacheName]?.[tableName] || []).filter((column) =>
+      changed.every((row) => row[column] !== undefined && row[column] !== null)
+    );
+    if (keyColumns.length) {
+      next[tableName] = mergeRows(rows, changed, keyColumns).rows;
+      return;
+    }
+    const fresh = replay ? changed.filter((row) => !rows.some((existing) => sameValues(existing, row))) : changed;
+    next[tableName] = [...rows, ...fresh];
+  });
+  return next;
+}
+
+async function refreshTable(cache, cacheName, tableName, dataSource, { since, changeColumn }) {
+  const startTime = Date.now();
+  const previous = cache[tableName] || [];
+  const keyColumns = ROW_KEYS[cacheName]?.[tableName] || [];
+  const incremental = Boolean(since) && keyColumns.length > 0;
+
+  const fetched = normalizeRows(
+    tableName,
+    incremental
+      ? await dataSource.fetchTable(cacheName, tableName, { since, changeColumn })
+      : await dataSource.fetchTable(cacheName, tableName)
+  );
+
+  let rows;
+  let added = 0;
+  let updated = 0;
+  if (incremental) {
+    ({ rows, added, updated } = mergeRows(previous, fetched, keyColumns));
+  } else {
+    rows = fetched;
+  }
+
+  const report = {
+    mode: incremental ? "incremental" : "full",
+    durationMs: Date.now() - startTime,
+    rowsFetched: fetched.length,
+    rowsBefore: previous.length,
+    rowsAfter: rows.length,
+    delta: rows.length - previous.length,
+  };
+  if (incremental) {
+    report.added = added;
+    report.updated = updated;
+  }
+
+  return {
+    tableName,
+    rows,
+    watermark: canIncrement(rows, keyColumns, changeColumn)
+      ? latestChange(rows, changeColumn, since)
+      : null,
+    report,
+  };
+}
+
+function sameValues(existing, row) {
+  return Object.keys(row).every((column) => String(existing[column] ?? "") === String(row[column] ?? ""));
+}
+
+function rowKey(row, keyColumns) {
+  return keyColumns.map((column) => String(row[column])).join("|");
+}
+
+// Changed rows replace the row with the same key, or are appended
+function mergeRows(previous, changed, keyColumns) {
+  const rows = [...previous];
+  const positions = new Map(rows.map((row, i) => [rowKey(row, keyColumns), i]));
+  let added = 0;
+  let updated = 0;
+
+  changed.forEach((row) => {
+    const key = rowKey(row, keyColumns);
+    if (positions.has(key)) {
+      rows[positions.get(key)] = row;
+      updated++;
+    } else {
+      positions.set(key, rows.length);
+      rows.push(row);
+      added++;
+    }
+  });
+
+  return { rows, added, updated };
+}
+
+function canIncrement(rows, keyColumns, changeColumn) {
+  if (!rows.length || !keyColumns.length) return false;
+  const sample = rows[0];
+  return changeColumn in sample && keyColumns.every((column) => column in sample);
+}
+
+function latestChange(rows, changeColumn, since) {
+  let latest = since ? new Date(since).getTime() : null;
+  rows.forEach((row) => {
+    const time = row[changeColumn] ? new Date(row[changeColumn]).getTime() : NaN;
+    if (!Number.isNaN(time) && (latest === null || time > latest)) latest = time;
+  });
+  return latest === null ? null : new Date(latest).toISOString();
+}
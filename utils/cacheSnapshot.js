@@ -0,0 +1,105 @@
+// utils/cacheSnapshot.js
+
+import fs from "fs/promises";
+import path from "path";
+import zlib from "zlib";
+import { promisify } from "util";
+import { TABLES } from "./tables.js";
+import { buildIndexes } from "./cacheIndex.js";
+import { normalizeRows } from "./normalize.js";
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+// Snapshots are gzipped JSON files named <cache>-<timestamp>.json.gz:
+// { metadata: { cache, createdAt, source, rowCounts, lastRefresh }, tables }
+const SNAPSHOT_PATTERN = /^(hospital|ongoing)-(\d+)\.json\.gz$/;
+
+export async function writeSnapshot(dir, cacheName, cache, { source, keep = 3 } = {}) {
+  const tables = {};
+  const rowCounts = {};
+  Object.keys(TABLES[cacheName]).forEach((tableName) => {
+    tables[tableName] = cache[tableName] || [];
+    rowCounts[tableName] = tables[tableName].length;
+  });
+
+  const createdAt = new Date();
+  const metadata = {
+    cache: cacheName,
+    createdAt: createdAt.toISOString(),
+    source,
+    rowCounts,
+    lastRefresh: cache.lastRefresh || null,
+  };
+
+  await fs.mkdir(dir, { recursive: true });
+  const fileName = `${cacheName}-${createdAt.getTime()}.json.gz`;
+  const filePath = path.join(dir, fileName);
+  const tmpPath = `${filePath}.tmp`;
+
+  // Write then rename, so a crash never leaves a truncated newest snapshot
+  await fs.writeFile(tmpPath, await gzip(JSON.stringify({ metadata, tables })));
+  await fs.rename(tmpPath, filePath);
+
+  await pruneSnapshots(dir, cacheName, keep);
+  return { file: fileName, ...metadata };
+}
+
+export async function readLatestSnapshot(dir, cacheName) {
+  const files = await listSnapshots(dir, cacheName);
+  if (!files.length) return null;
+
+  const fileName = files[0];
+  const buffer = await fs.readFile(path.join(dir, fileName));
+  const { metadata, tables } = JSON.parse((await gunzip(buffer)).toString("utf8"));
+  return { file: fileName, metadata, tables };
+}
+
+// Serve a snapshot until the next live load replaces it
+export function applySnapshot(cache, snapshot) {
+  const { metadata } = snapshot;
+  // Snapshots written before normalization existed hold raw rows
+  const tables = Object.fromEntries(
+    Object.entries(snapshot.tables).map(([tableName, rows]) => [tableName, normalizeRows(tableName, rows)])
+  );
+  Object.assign(cache, tables, {
+    indexes: buildIndexes(tables),
+    loaded: true,
+    error: null,
+    lastRefresh: metadata.lastRefresh,
+    snapshot: { file: snapshot.file, createdAt: metadata.createdAt, source: metadata.source },
+  });
+}
+
+export function describeSnapshot(cache) {
+  if (!cache.snapshot) return { servedFromSnapshot: false, snapshot: null };
+  return {
+    servedFromSnapshot: true,
+    snapshot: {
+      ...cache.snapshot,
+      ageSeconds: Math.round((Date.now() - new Date(cache.snapshot.createdAt).getTime()) / 1000),
+    },
+  };
+}
+
+// Newest first
+async function listSnapshots(dir, cacheName) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir);
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+
+  return entries
+    .map((name) => name.match(SNAPSHOT_PATTERN))
+    .filter((match) => match && match[1] === cacheName)
+    .sort((a, b) => Number(b[2]) - Number(a[2]))
+    .map((match) => match[0]);
+}
+
+async function pruneSnapshots(dir, cacheName, keep) {
+  const files = await listSnapshots(dir, cacheName);
+  await Promise.all(files.slice(Math.max(1, keep)).map((name) => fs.unlink(path.join(dir, name))));
+}
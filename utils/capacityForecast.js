@@ -0,0 +1,336 @@
+// utils/capacityForecast.js
+
+import { parseAnalyticsFilters, describeFilters, filterCohorts, queryNumber } from "./analytics.js";
+import { pregnancyStart, gestationalAgeOn, addDays, daysBetween } from "./ancSchedule.js";
+import { DELIVERY_RANGES } from "./clinicalValidation.js";
+import { DELIVERY_MODE, complicationList, toIsoDate, toNumber, todayIso } from "./normalize.js";
+import { describeNumbers, quantile, round } from "./statistics.js";
+
+// Length of stay by delivery mode and complications, learnt from hospital
+// deliveries, and a Monte Carlo forecast of maternity bed occupancy and
+// C-section load from the ongoing cohort.
+//
+// Each simulation run delivers every ongoing pregnancy once: the gestational
+// age at delivery is drawn from the hospital's own deliveries at or beyond
+// the pregnancy's current age, then the mode, whether there are
+// complications and the length of stay are drawn the same way. A mode and
+// complication group with fewer than minSamples stays borrows the mode's
+// stays, then all stays. Ranges are the central `confidence` share of the
+// runs; a fixed seed keeps them stable between requests.
+//
+// Occupancy counts mothers' beds from the delivery day for LENGTH_OF_STAY
+// days (at least one), plus hospital patients whose recorded stay is still
+// running today.
+//
+// The simulation is the expensive part, so capacityForecast() keeps its
+// result per load of both caches, patient-link version, options and day.
+
+const DEFAULT_MIN_SAMPLES = 5;
+const DEFAULT_HORIZON_DAYS = 28;
+const MAX_HORIZON_DAYS = 180;
+const DEFAULT_SIMULATIONS = 1000;
+const MAX_SIMULATIONS = 5000;
+const DEFAULT_CONFIDENCE = 0.8;
+const DEFAULT_TOP = 10;
+const MODES = Object.values(DELIVERY_MODE);
+
+// Distinct forecasts kept per cache load
+const MAX_FORECASTS = 50;
+
+const forecastsByIndexes = new WeakMap();
+
+export function parseLengthOfStayOptions(query = {}) {
+  return {
+    // Stays are only recorded for delivered (historical) patients
+    filters: parseAnalyticsFilters({ ...query, cohort: "historical" }),
+    minSamples: queryNumber(query, "minSamples", { fallback: DEFAULT_MIN_SAMPLES, min: 1, max: 1000 }),
+    top: queryNumber(query, "top", { fallback: DEFAULT_TOP, min: 1, max: 50 }),
+  };
+}
+
+// The analytics filters pick the patients on both sides, e.g. one
+// catchment area's past deliveries and current pregnancies
+export function parseForecastOptions(query = {}) {
+  return {
+    filters: parseAnalyticsFilters(query),
+    minSamples: queryNumber(query, "minSamples", { fallback: DEFAULT_MIN_SAMPLES, min: 1, max: 1000 }),
+    horizonDays: queryNumber(query, "horizonDays", { fallback: DEFAULT_HORIZON_DAYS, min: 1, max: MAX_HORIZON_DAYS }),
+    simulations: queryNumber(query, "simulations", { fallback: DEFAULT_SIMULATIONS, min: 100, max: MAX_SIMULATIONS }),
+    confidence: queryNumber(query, "confidence", { fallback: DEFAULT_CONFIDENCE, min: 0.5, max: 0.99, integer: false }),
+    seed: queryNumber(query, "seed", { fallback: 1, min: 0, max: 2 ** 32 - 1 }),
+  };
+}
+
+function inRange(value, [, min, max]) {
+  const n = toNumber(value);
+  return n !== null && n >= min && n <= max ? n : null;
+}
+
+const groupKey = (mode, complicated) => `${mode}|${complicated ? "complicated" : "uncomplicated"}`;
+
+// Stays, modes and gestational ages of the deliveries, grouped for sampling
+export function deliveryModel(deliveries, { minSamples = DEFAULT_MIN_SAMPLES } = {}) {
+  const rows = deliveries.map((d) => {
+    const complications = complicationList(d.DELIVERY_COMPLICATIONS);
+    return {
+      mode: MODES.includes(d.DELIVERY_MODE_CATEGORY) ? d.DELIVERY_MODE_CATEGORY : null,
+      complications,
+      complicated: complications.length > 0,
+      days: inRange(d.LENGTH_OF_STAY, DELIVERY_RANGES.lengthOfStay),
+      weeks: inRange(d.GESTATIONAL_AGE_AT_DELIVERY, DELIVERY_RANGES.gestationalAgeAtDelivery),
+    };
+  });
+
+  const stays = { all: [] };
+  rows.forEach((r) => {
+    if (r.days === null) return;
+    stays.all.push(r.days);
+    if (!r.mode) return;
+    [r.mode, groupKey(r.mode, r.complicated)].forEach((key) => {
+      if (!stays[key]) stays[key] = [];
+      stays[key].push(r.days);
+    });
+  });
+
+  const withMode = rows.filter((r) => r.mode);
+  const modeProbabilities = Object.fromEntries(
+    MODES.map((mode) => [mode, withMode.length ? withMode.filter((r) => r.mode === mode).length / withMode.length : 0])
+  );
+  const complicationRates = Object.fromEntries(
+    MODES.map((mode) => {
+      const ofMode = withMode.filter((r) => r.mode === mode);
+      return [mode, ofMode.length ? ofMode.filter((r) => r.complicated).length / ofMode.length : 0];
+    })
+  );
+
+  return {
+    rows,
+    minSamples,
+    stays,
+    modeProbabilities,
+    complicationRates,
+    deliveryWeeks: rows.map((r) => r.weeks).filter((w) => w !== null).map(Math.floor).sort((a, b) => a - b),
+  };
+}
+
+// The stays a mode and complication group is sampled from
+function staysFor(model, mode, complicated) {
+  const group = model.stays[groupKey(mode, complicated)] || [];
+  if (group.length >= model.minSamples) return { basis: "mode and complications", values: group };
+  const ofMode = model.stays[mode] || [];
+  if (ofMode.length >= model.minSamples) return { basis: "mode", values: ofMode };
+  return { basis: "all", values: model.stays.all };
+}
+
+function describeStays(values) {
+  // Stays per number of days
+  const days = {};
+  values.forEach((d) => {
+    days[d] = (days[d] || 0) + 1;
+  });
+  return { ...describeNumbers(values, 1), days };
+}
+
+// { deliveries, withLengthOfStay, overall, groups, byComplication }
+export function describeLengthOfStay(model, { top = DEFAULT_TOP } = {}) {
+  const groups = MODES.flatMap((mode) =>
+    [false, true].map((complicated) => {
+      const own = model.stays[groupKey(mode, complicated)] || [];
+      const { basis } = staysFor(model, mode, complicated);
+      return { deliveryMode: mode, complicated, ...describeStays(own), forecastBasis: basis };
+    })
+  );
+
+  const byComplication = new Map();
+  model.rows.forEach((r) => {
+    if (r.days === null) return;
+    new Set(r.complications.map((c) => c.toLowerCase())).forEach((key) => {
+      if (!byComplication.has(key)) byComplication.set(key, { complication: r.complications.find((c) => c.toLowerCase() === key), values: [] });
+      byComplication.get(key).values.push(r.days);
+    });
+  });
+
+  return {
+    deliveries: model.rows.length,
+    withLengthOfStay: model.stays.all.length,
+    overall: describeStays(model.stays.all),
+    byDeliveryMode: Object.fromEntries(MODES.map((mode) => [mode, describeStays(model.stays[mode] || [])])),
+    groups,
+    byComplication: [...byComplication.values()]
+      .sort((a, b) => b.values.length - a.values.length || a.complication.localeCompare(b.complication))
+      .slice(0, top)
+      .map(({ complication, values }) => ({ complication, ...describeNumbers(values, 1) })),
+  };
+}
+
+// mulberry32: small, fast and good enough for resampling
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Beds already taken by recorded stays, per forecast day
+function currentInpatients(deliveries, today, horizonDays) {
+  const beds = new Array(horizonDays).fill(0);
+  deliveries.forEach((d) => {
+    const date = toIsoDate(d.DELIVERY_DATE);
+    const days = inRange(d.LENGTH_OF_STAY, DELIVERY_RANGES.lengthOfStay);
+    if (!date || days === null || date > today) return;
+    const end = daysBetween(today, date) + Math.max(1, days);
+    for (let t = 0; t < Math.min(end, horizonDays); t++) beds[t]++;
+  });
+  return beds;
+}
+
+function interval(values, confidence, digits = 1) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const tail = (1 - confidence) / 2;
+  return {
+    mean: round(values.reduce((a, b) => a + b, 0) / values.length, digits),
+    median: round(quantile(sorted, 0.5), digits),
+    lower: round(quantile(sorted, tail), digits),
+    upper: round(quantile(sorted, 1 - tail), digits),
+  };
+}
+
+// pregnancies: [{ visits }] for each ongoing pregnancy (one per person)
+// deliveries: the hospital deliveries the model was built from
+export function forecastCapacity(model, pregnancies, deliveries, options = {}) {
+  const {
+    horizonDays = DEFAULT_HORIZON_DAYS, simulations = DEFAULT_SIMULATIONS, confidence = DEFAULT_CONFIDENCE,
+    seed = 1, today = todayIso(),
+  } = options;
+  const random = seededRandom(seed);
+  const pick = (values) => values[Math.floor(random() * values.length)];
+
+  // Current age in days and the delivery weeks still possible, per pregnancy
+  let undated = 0;
+  const dated = [];
+  pregnancies.forEach(({ visits }) => {
+    const start = pregnancyStart(visits);
+    if (!start) {
+      undated++;
+      return;
+    }
+    const ageDays = Math.max(0, Math.round(gestationalAgeOn(start, today) * 7));
+    dated.push({ ageDays, weeks: model.deliveryWeeks.filter((w) => (w + 1) * 7 > ageDays) });
+  });
+
+  const modeCumulative = [];
+  MODES.reduce((sum, mode) => {
+    modeCumulative.push([mode, sum + model.modeProbabilities[mode]]);
+    return sum + model.modeProbabilities[mode];
+  }, 0);
+  const drawMode = () => {
+    const r = random();
+    return (modeCumulative.find(([, p]) => r < p) || modeCumulative[modeCumulative.length - 1])[0];
+  };
+
+  const inpatients = currentInpatients(deliveries, today, horizonDays);
+  const series = () => Array.from({ length: horizonDays }, () => new Int32Array(simulations));
+  const occupancy = series();
+  const births = series();
+  const cSections = series();
+
+  for (let s = 0; s < simulations; s++) {
+    dated.forEach(({ ageDays, weeks }) => {
+      // Past every delivery age on record: due within the week
+      let offset = Math.floor(random() * 7);
+      if (weeks.length) {
+        const week = pick(weeks);
+        const from = Math.max(week * 7, ageDays);
+        offset = from + Math.floor(random() * (week * 7 + 7 - from)) - ageDays;
+      }
+      if (offset >= horizonDays) return;
+
+      const mode = drawMode();
+      const complicated = random() < model.complicationRates[mode];
+      const stay = Math.max(1, pick(staysFor(model, mode, complicated).values));
+      births[offset][s]++;
+      if (mode === DELIVERY_MODE.C_SECTION) cSections[offset][s]++;
+      for (let t = offset; t < Math.min(offset + stay, horizonDays); t++) occupancy[t][s]++;
+    });
+  }
+
+  const daily = occupancy.map((beds, t) => ({
+    date: addDays(today, t),
+    occupancy: interval(Array.from(beds, (b) => b + inpatients[t]), confidence),
+    deliveries: interval(births[t], confidence),
+    cSections: interval(cSections[t], confidence),
+  }));
+
+  const weekly = [];
+  for (let from = 0; from < horizonDays; from += 7) {
+    const to = Math.min(from + 7, horizonDays);
+    const perRun = (days, combine) => Array.from({ length: simulations }, (_, s) => combine(days.slice(from, to).map((day) => day[s])));
+    const sum = (values) => values.reduce((a, b) => a + b, 0);
+    weekly.push({
+      from: addDays(today, from),
+      to: addDays(today, to - 1),
+      deliveries: interval(perRun(births, sum), confidence),
+      cSections: interval(perRun(cSections, sum), confidence),
+      peakOccupancy: interval(perRun(occupancy, (beds) => Math.max(...beds.map((b, i) => b + inpatients[from + i]))), confidence),
+    });
+  }
+
+  return {
+    today,
+    horizonDays,
+    simulations,
+    confidence,
+    seed,
+    pregnancies: dated.length,
+    undatedPregnancies: undated,
+    currentInpatients: inpatients[0] ?? 0,
+    assumptions: {
+      deliveries: model.rows.length,
+      modeProbabilities: Object.fromEntries(MODES.map((mode) => [mode, round(model.modeProbabilities[mode], 3)])),
+      complicationRates: Object.fromEntries(MODES.map((mode) => [mode, round(model.complicationRates[mode], 3)])),
+      gestationalAgeAtDelivery: describeNumbers(model.deliveryWeeks, 1),
+      lengthOfStay: describeNumbers(model.stays.all, 1),
+    },
+    daily,
+    weekly,
+  };
+}
+
+// forecastCapacity() over the analytics selection, memoized; null when no
+// past delivery has a length of stay and gestational age to learn from.
+//   caches: { historical, ongoing }
+//   personOf(patient) -> { visits } of her current pregnancy, or null to
+//                        skip (e.g. a linked secondary record)
+export function capacityForecast(caches, options, { personOf, version = null, today = todayIso() }) {
+  let byOngoing = forecastsByIndexes.get(caches.historical.indexes);
+  if (!byOngoing) {
+    byOngoing = new WeakMap();
+    forecastsByIndexes.set(caches.historical.indexes, byOngoing);
+  }
+  let forecasts = byOngoing.get(caches.ongoing.indexes);
+  if (!forecasts) {
+    forecasts = new Map();
+    byOngoing.set(caches.ongoing.indexes, forecasts);
+  }
+
+  const { filters, ...rest } = options;
+  const key = JSON.stringify({ filters: describeFilters(filters), ...rest, version, today });
+  if (forecasts.has(key)) return forecasts.get(key);
+
+  const selection = filterCohorts(caches, filters);
+  const model = deliveryModel(selection.historical.deliveries, options);
+  const result = !model.stays.all.length || !model.deliveryWeeks.length
+    ? null
+    : forecastCapacity(model, selection.ongoing.patients.map(personOf).filter(Boolean), selection.historical.deliveries, {
+      ...options,
+      today,
+    });
+
+  if (forecasts.size >= MAX_FORECASTS) forecasts.clear();
+  forecasts.set(key, result);
+  return result;
+}
@@ -0,0 +1,267 @@
+// utils/clinicalValidation.js
+
+import { todayIso } from "./normalize.js";
+
+// Validates clinic-entered antenatal data against plausible clinical ranges
+// before it is written to the data source. Values outside these ranges are
+// almost always typing or unit mistakes (e.g. weight in pounds, Hb in g/L).
+
+export class ValidationError extends Error {
+  constructor(errors) {
+    super(errors.map((e) => e.message).join("; "));
+    this.errors = errors;
+  }
+}
+
+// field: [column, min, max, unit]
+export const VISIT_RANGES = {
+  gestationalAgeWeeks: ["GESTATIONAL_AGE_WEEKS", 4, 42, "weeks"],
+  systolic: [null, 70, 220, "mmHg"],
+  diastolic: [null, 40, 140, "mmHg"],
+  hemoglobin: ["HEMOGLOBIN_LEVEL", 4, 20, "g/dL"],
+  fundalHeight: ["FUNDAL_HEIGHT", 5, 45, "cm"],
+  weight: ["MATERNAL_WEIGHT", 30, 200, "kg"],
+  fetalHeartRate: ["FETAL_HEART_RATE", 90, 200, "bpm"],
+};
+
+const MAX_TEXT_LENGTH = 500;
+
+// Request bodies may use the camelCase field or the table column name
+function pick(body, field, column) {
+  if (body[field] !== undefined) return body[field];
+  return column ? body[column] : undefined;
+}
+
+// Each [field, column] range entry accepts both names
+const rangeNames = (ranges) => Object.entries(ranges).flatMap(([field, [column]]) => (column ? [field, column] : [field]));
+
+// Unknown keys are rejected rather than dropped, so a misspelt field
+// (e.g. "hb" for "hemoglobin") isn't silently lost
+function checkKnownFields(errors, body, accepted, prefix = "") {
+  Object.keys(body)
+    .filter((key) => !accepted.includes(key))
+    .forEach((key) => {
+      errors.push({
+        field: prefix + key,
+        message: `${prefix}${key} is not a known field. Accepted fields: ${accepted.join(", ")}`,
+      });
+    });
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || value === "";
+}
+
+export function checkNumber(errors, field, value, [min, max, unit], { required = false } = {}) {
+  if (isBlank(value)) {
+    if (required) errors.push({ field, message: `${field} is required` });
+    return null;
+  }
+  const n = Number(value);
+  if (!Number.isFinite(n)) {
+    errors.push({ field, message: `${field} must be a number` });
+    return null;
+  }
+  if (n < min || n > max) {
+    errors.push({ field, message: `${field} must be between ${min} and ${max} ${unit}`, value: n });
+    return null;
+  }
+  return n;
+}
+
+export function checkText(errors, field, value) {
+  if (isBlank(value)) return null;
+  if (typeof value !== "string") {
+    errors.push({ field, message: `${field} must be text` });
+    return null;
+  }
+  const text = value.trim();
+  if (text.length > MAX_TEXT_LENGTH) {
+    errors.push({ field, message: `${field} must be at most ${MAX_TEXT_LENGTH} characters` });
+    return null;
+  }
+  return text || null;
+}
+
+// YYYY-MM-DD, not in the future; defaults to today in the hospital timezone
+export function checkDate(errors, field, value, today = new Date()) {
+  const todayDate = todayIso(today);
+  if (isBlank(value)) return todayDate;
+  const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const date = match ? new Date(`${match[0]}T00:00:00Z`) : null;
+  if (!date || Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== match[0]) {
+    errors.push({ field, message: `${field} must be a date in YYYY-MM-DD format` });
+    return null;
+  }
+  if (match[0] > todayDate) {
+    errors.push({ field, message: `${field} cannot be in the future` });
+    return null;
+  }
+  return match[0];
+}
+
+function parseBloodPressure(errors, body) {
+  let systolic = pick(body, "systolic");
+  let diastolic = pick(body, "diastolic");
+  const bp = pick(body, "bloodPressure", "BLOOD_PRESSURE");
+
+  if (!isBlank(bp)) {
+    const match = String(bp).trim().match(/^(\d{2,3}(?:\.\d+)?)\s*\/\s*(\d{2,3}(?:\.\d+)?)$/);
+    if (!match) {
+      errors.push({ field: "bloodPressure", message: "bloodPressure must look like 120/80" });
+      return null;
+    }
+    [, systolic, diastolic] = match;
+  }
+  if (isBlank(systolic) && isBlank(diastolic)) return null;
+
+  const sys = checkNumber(errors, "systolic", systolic, VISIT_RANGES.systolic.slice(1), { required: true });
+  const dia = checkNumber(errors, "diastolic", diastolic, VISIT_RANGES.diastolic.slice(1), { required: true });
+  if (sys === null || dia === null) return null;
+  if (sys <= dia) {
+    errors.push({ field: "bloodPressure", message: "systolic must be higher than diastolic" });
+    return null;
+  }
+  return `${sys}/${dia}`;
+}
+
+const VISIT_FIELDS = [
+  "visitDate", "VISIT_DATE", ...rangeNames(VISIT_RANGES), "bloodPressure", "BLOOD_PRESSURE", "complications", "COMPLICATIONS",
+];
+
+// Returns a visit row in the ongoing visits table layout, or throws
+// ValidationError listing every invalid or unknown field
+export function validateVisit(patientId, body = {}, { today } = {}) {
+  const errors = [];
+  checkKnownFields(errors, body, VISIT_FIELDS);
+  const number = (field, options) => {
+    const [column, ...range] = VISIT_RANGES[field];
+    return checkNumber(errors, field, pick(body, field, column), range, options);
+  };
+
+  const visit = {
+    PATIENT_ID: patientId,
+    VISIT_DATE: checkDate(errors, "visitDate", pick(body, "visitDate", "VISIT_DATE"), today),
+    GESTATIONAL_AGE_WEEKS: number("gestationalAgeWeeks", { required: true }),
+    MATERNAL_WEIGHT: number("weight"),
+    FUNDAL_HEIGHT: number("fundalHeight"),
+    HEMOGLOBIN_LEVEL: number("hemoglobin"),
+    BLOOD_PRESSURE: parseBloodPressure(errors, body),
+    FETAL_HEART_RATE: number("fetalHeartRate"),
+    COMPLICATIONS: checkText(errors, "complications", pick(body, "complications", "COMPLICATIONS")) || "None",
+  };
+
+  if (errors.length) throw new ValidationError(errors);
+  return visit;
+}
+
+const DELIVERY_MODES = ["Vaginal", "Normal", "Assisted Vaginal", "C-Section", "Cesarean"];
+const BABY_SEXES = ["Male", "Female", "Ambiguous"];
+const MAX_BABIES = 6;
+
+export const DELIVERY_RANGES = {
+  gestationalAgeAtDelivery: ["GESTATIONAL_AGE_AT_DELIVERY", 20, 44, "weeks"],
+  lengthOfStay: ["LENGTH_OF_STAY", 0, 60, "days"],
+};
+
+export const BABY_RANGES = {
+  birthWeight: ["BIRTH_WEIGHT", 0.3, 6.5, "kg"],
+  apgar1Min: ["APGAR_SCORE_1MIN", 0, 10, "points"],
+  apgar5Min: ["APGAR_SCORE_5MIN", 0, 10, "points"],
+};
+
+const BABY_FIELDS = [
+  "sex", "BABY_SEX", ...rangeNames(BABY_RANGES), "nicuAdmission", "NICU_ADMISSION", "complications", "NEONATAL_COMPLICATIONS",
+];
+
+// sourceSchema is read by the delivery route (see utils/patientLifecycle.js)
+const DELIVERY_FIELDS = [
+  "deliveryDate", "DELIVERY_DATE", "deliveryMode", "DELIVERY_MODE", ...rangeNames(DELIVERY_RANGES),
+  "complications", "DELIVERY_COMPLICATIONS", "motherCondition", "MOTHER_CONDITION_POST_DELIVERY", "babies", "sourceSchema",
+];
+
+function checkChoice(errors, field, value, choices, { required = false } = {}) {
+  if (isBlank(value)) {
+    if (required) errors.push({ field, message: `${field} is required` });
+    return null;
+  }
+  const choice = choices.find((c) => c.toLowerCase() === String(value).trim().toLowerCase());
+  if (!choice) errors.push({ field, message: `${field} must be one of: ${choices.join(", ")}` });
+  return choice || null;
+}
+
+function checkYesNo(errors, field, value) {
+  if (isBlank(value)) return null;
+  if (value === true || value === false) return value ? "Yes" : "No";
+  return checkChoice(errors, field, value, ["Yes", "No"]);
+}
+
+function validateBaby(errors, body, index) {
+  const prefix = `babies[${index}].`;
+  checkKnownFields(errors, body, BABY_FIELDS, prefix);
+  const number = (field) => {
+    const [column, ...range] = BABY_RANGES[field];
+    return checkNumber(errors, prefix + field, pick(body, field, column), range);
+  };
+
+  const baby = {
+    BABY_SEX: checkChoice(errors, `${prefix}sex`, pick(body, "sex", "BABY_SEX"), BABY_SEXES),
+    BIRTH_WEIGHT: number("birthWeight"),
+    APGAR_SCORE_1MIN: number("apgar1Min"),
+    APGAR_SCORE_5MIN: number("apgar5Min"),
+    NICU_ADMISSION: checkYesNo(errors, `${prefix}nicuAdmission`, pick(body, "nicuAdmission", "NICU_ADMISSION")),
+    NEONATAL_COMPLICATIONS:
+      checkText(errors, `${prefix}complications`, pick(body, "complications", "NEONATAL_COMPLICATIONS")) || "None",
+  };
+  [baby.APGAR_SCORE_1MIN, baby.APGAR_SCORE_5MIN].forEach((score, i) => {
+    if (score !== null && !Number.isInteger(score)) {
+      errors.push({ field: `${prefix}${i ? "apgar5Min" : "apgar1Min"}`, message: "APGAR scores are whole numbers" });
+    }
+  });
+  return baby;
+}
+
+// Returns { delivery, babies } in the hospital table layouts (without
+// PATIENT_ID and keys), or throws ValidationError. lastVisitDate, when given,
+// is the earliest allowed delivery date.
+export function validateDelivery(body = {}, { today, lastVisitDate } = {}) {
+  const errors = [];
+  checkKnownFields(errors, body, DELIVERY_FIELDS);
+  const number = (field, options) => {
+    const [column, ...range] = DELIVERY_RANGES[field];
+    return checkNumber(errors, field, pick(body, field, column), range, options);
+  };
+
+  const delivery = {
+    DELIVERY_DATE: checkDate(errors, "deliveryDate", pick(body, "deliveryDate", "DELIVERY_DATE"), today),
+    DELIVERY_MODE: checkChoice(errors, "deliveryMode", pick(body, "deliveryMode", "DELIVERY_MODE"), DELIVERY_MODES, {
+      required: true,
+    }),
+    GESTATIONAL_AGE_AT_DELIVERY: number("gestationalAgeAtDelivery", { required: true }),
+    DELIVERY_COMPLICATIONS:
+      checkText(errors, "complications", pick(body, "complications", "DELIVERY_COMPLICATIONS")) || "None",
+    MOTHER_CONDITION_POST_DELIVERY: checkText(
+      errors,
+      "motherCondition",
+      pick(body, "motherCondition", "MOTHER_CONDITION_POST_DELIVERY")
+    ),
+    LENGTH_OF_STAY: number("lengthOfStay"),
+  };
+  if (delivery.DELIVERY_DATE && lastVisitDate && delivery.DELIVERY_DATE < lastVisitDate) {
+    errors.push({ field: "deliveryDate", message: `deliveryDate cannot be before the last antenatal visit (${lastVisitDate})` });
+  }
+  if (delivery.LENGTH_OF_STAY !== null && !Number.isInteger(delivery.LENGTH_OF_STAY)) {
+    errors.push({ field: "lengthOfStay", message: "lengthOfStay must be a whole number of days" });
+  }
+
+  const babyInput = body.babies ?? [];
+  let babies = [];
+  if (!Array.isArray(babyInput) || babyInput.length > MAX_BABIES) {
+    errors.push({ field: "babies", message: `babies must be a list of at most ${MAX_BABIES} outcomes` });
+  } else {
+    babies = babyInput.map((baby, index) => validateBaby(errors, baby || {}, index));
+  }
+
+  if (errors.length) throw new ValidationError(errors);
+  return { delivery, babies };
+}
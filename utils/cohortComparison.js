@@ -0,0 +1,149 @@
+// utils/cohortComparison.js
+
+import {
+  AnalyticsQueryError, parseAnalyticsFilters, describeFilters, filterCohorts, babiesByDelivery, deliveryOutcome, OUTCOMES,
+  LOW_BIRTH_WEIGHT_KG, LOW_APGAR,
+} from "./analytics.js";
+import { DELIVERY_MODE, toNumber, toYesNo } from "./normalize.js";
+import {
+  describeNumbers, rate, distribution, compareProportions, compareMeans, compareDistributions, round,
+} from "./statistics.js";
+
+// Side-by-side delivery outcomes for two groups of patients, each defined by
+// the analytics filters (anaemic vs not, under 18 vs 18-35, one address vs
+// another...). Differences are group b minus group a: percentage points for
+// rates, units of the measure for means. The tests assume the groups are
+// independent; `sharedPatients` shows when the filters overlap.
+
+const DEFAULT_CONFIDENCE = 0.95;
+
+function parseGroup(name, definition) {
+  if (definition === undefined) return { label: name, filters: parseAnalyticsFilters({ cohort: "historical" }) };
+  if (!definition || typeof definition !== "object" || Array.isArray(definition)) {
+    throw new AnalyticsQueryError(`${name} must be an object of filters`);
+  }
+  const { label, ...query } = definition;
+  try {
+    // Outcomes exist only for delivered (historical) patients
+    return { label: label ? String(label) : name, filters: parseAnalyticsFilters({ ...query, cohort: "historical" }) };
+  } catch (err) {
+    if (err instanceof AnalyticsQueryError) throw new AnalyticsQueryError(`${name}: ${err.message}`);
+    throw err;
+  }
+}
+
+// body: { a: { label?, ...filters }, b: { label?, ...filters }, confidence? }
+export function parseComparison(body = {}) {
+  if (body.a === undefined && body.b === undefined) {
+    throw new AnalyticsQueryError("Provide the two groups as a and b, each an object of filters");
+  }
+  let confidence = DEFAULT_CONFIDENCE;
+  if (body.confidence !== undefined) {
+    confidence = Number(body.confidence);
+    if (!(confidence >= 0.5 && confidence < 1)) throw new AnalyticsQueryError("confidence must be between 0.5 and 1 (e.g. 0.95)");
+  }
+  return { a: parseGroup("a", body.a), b: parseGroup("b", body.b), confidence };
+}
+
+function numbers(rows, column) {
+  return rows.map((row) => toNumber(row[column])).filter((n) => n !== null);
+}
+
+function groupOutcomes(selection) {
+  const { patients, deliveries, babies } = selection.historical;
+  const babiesOf = babiesByDelivery(selection.historical);
+  const outcomeOf = (delivery) => deliveryOutcome(delivery, babiesOf.get(delivery));
+
+  const birthWeights = babies.map((b) => b.BIRTH_WEIGHT_KG).filter((n) => n !== null && n !== undefined);
+  const apgar1 = numbers(babies, "APGAR_SCORE_1MIN");
+  const apgar5 = numbers(babies, "APGAR_SCORE_5MIN");
+  const nicuKnown = babies.map((b) => toYesNo(b.NICU_ADMISSION)).filter((admitted) => admitted !== null);
+
+  return {
+    raw: { birthWeights, apgar1, apgar5 },
+    patients: patients.length,
+    deliveries: deliveries.length,
+    babies: babies.length,
+    deliveryMode: distribution(deliveries.map((d) => d.DELIVERY_MODE_CATEGORY), Object.values(DELIVERY_MODE)),
+    outcome: distribution(deliveries.map(outcomeOf), OUTCOMES),
+    birthWeightKg: {
+      ...describeNumbers(birthWeights),
+      lowBirthWeight: rate(birthWeights.filter((w) => w < LOW_BIRTH_WEIGHT_KG).length, birthWeights.length),
+    },
+    apgar1Min: { ...describeNumbers(apgar1, 1), low: rate(apgar1.filter((s) => s < LOW_APGAR).length, apgar1.length) },
+    apgar5Min: { ...describeNumbers(apgar5, 1), low: rate(apgar5.filter((s) => s < LOW_APGAR).length, apgar5.length) },
+    nicuAdmission: rate(nicuKnown.filter(Boolean).length, nicuKnown.length),
+  };
+}
+
+// Proportions come back in percentage points
+function formatTest(result, scale = 1) {
+  if (!result) return null;
+  const { difference, confidenceInterval, statistic, pValue, ...rest } = result;
+  return {
+    ...rest,
+    ...(difference !== undefined
+      ? { difference: round(difference * scale), confidenceInterval: confidenceInterval.map((v) => round(v * scale)) }
+      : {}),
+    statistic: round(statistic, 3),
+    pValue: round(pValue, 4),
+    ...(rest.df !== undefined ? { df: round(rest.df, 1) } : {}),
+  };
+}
+
+function categoryCounts(dist, category) {
+  const n = Object.values(dist.counts).reduce((a, b) => a + b, 0);
+  return { count: dist.counts[category], n };
+}
+
+function differences(a, b, confidence) {
+  const proportion = (pa, pb) => formatTest(compareProportions(pa, pb, { confidence }), 100);
+  const means = (va, vb) => formatTest(compareMeans(va, vb, { confidence }));
+
+  return {
+    deliveryMode: {
+      distribution: formatTest(compareDistributions(a.deliveryMode.counts, b.deliveryMode.counts)),
+      cSectionRate: proportion(categoryCounts(a.deliveryMode, DELIVERY_MODE.C_SECTION), categoryCounts(b.deliveryMode, DELIVERY_MODE.C_SECTION)),
+    },
+    outcome: {
+      distribution: formatTest(compareDistributions(a.outcome.counts, b.outcome.counts)),
+      prematureRate: proportion(categoryCounts(a.outcome, "PREMATURE"), categoryCounts(b.outcome, "PREMATURE")),
+      mortalityRate: proportion(categoryCounts(a.outcome, "MORTALITY"), categoryCounts(b.outcome, "MORTALITY")),
+    },
+    birthWeightKg: {
+      mean: means(a.raw.birthWeights, b.raw.birthWeights),
+      lowBirthWeightRate: proportion(a.birthWeightKg.lowBirthWeight, b.birthWeightKg.lowBirthWeight),
+    },
+    apgar1Min: { mean: means(a.raw.apgar1, b.raw.apgar1), lowRate: proportion(a.apgar1Min.low, b.apgar1Min.low) },
+    apgar5Min: { mean: means(a.raw.apgar5, b.raw.apgar5), lowRate: proportion(a.apgar5Min.low, b.apgar5Min.low) },
+    nicuAdmissionRate: proportion(a.nicuAdmission, b.nicuAdmission),
+  };
+}
+
+// caches: { historical, ongoing } as for filterCohorts
+export function compareCohorts(caches, { a, b, confidence = DEFAULT_CONFIDENCE }) {
+  const selectionA = filterCohorts(caches, a.filters);
+  const selectionB = filterCohorts(caches, b.filters);
+  const outcomesA = groupOutcomes(selectionA);
+  const outcomesB = groupOutcomes(selectionB);
+
+  const idsA = new Set(selectionA.historical.patients.map((p) => p.PATIENT_ID));
+  const sharedPatients = new Set(selectionB.historical.patients.map((p) => p.PATIENT_ID).filter((id) => idsA.has(id))).size;
+
+  const present = ({ raw, ...outcomes }, group) => ({ label: group.label, filters: describeFilters(group.filters), ...outcomes });
+  return {
+    confidence,
+    groups: { a: present(outcomesA, a), b: present(outcomesB, b) },
+    differences: differences(outcomesA, outcomesB, confidence),
+    sharedPatients,
+  };
+}
+
+// Group a, group b and the differences as three rows, for the CSV / Excel export
+export function comparisonTable({ groups, differences }) {
+  return [
+    { group: "a", ...groups.a },
+    { group: "b", ...groups.b },
+    { group: "difference (b - a)", ...differences },
+  ];
+}
@@ -0,0 +1,249 @@
+// utils/dataQuality.js
+
+import { TABLES, ROW_KEYS } from "./tables.js";
+import { DERIVED_COLUMNS, toNumber } from "./normalize.js";
+import { VISIT_RANGES, DELIVERY_RANGES, BABY_RANGES } from "./clinicalValidation.js";
+import { patientKey } from "./cacheIndex.js";
+
+// Scans one cache for values the data team should fix at the source. Every
+// finding lists the offending records by key, so they can be looked up in
+// the unified views. Reports are computed once per cache load.
+
+// Fundal height (cm) should track gestational age (weeks) from about 20 weeks
+const FUNDAL_CHECK_FROM_WEEK = 20;
+const FUNDAL_TOLERANCE_CM = 4;
+
+const DEFAULT_RECORD_LIMIT = 100;
+
+const derived = new Set(DERIVED_COLUMNS);
+const reportsByIndexes = new WeakMap();
+
+function isMissing(value) {
+  return value === null || value === undefined || (typeof value === "string" && value.trim() === "");
+}
+
+// The row key when the view provides one, otherwise patient + date (+ position)
+function recordRef(cacheName, tableName, row, position) {
+  const keyColumns = ROW_KEYS[cacheName]?.[tableName] || [];
+  const keyed = keyColumns.length && keyColumns.every((column) => !isMissing(row[column]));
+  const date = row.VISIT_DATE ?? row.DELIVERY_DATE ?? null;
+  return {
+    table: tableName,
+    id: keyed
+      ? keyColumns.map((column) => row[column]).join("|")
+      : `${row.PATIENT_ID ?? "?"}${date ? `@${date}` : ""}#${position + 1}`,
+    PATIENT_ID: row.PATIENT_ID ?? null,
+  };
+}
+
+function finding(check, table, column, description, records) {
+  return { check, table, column, description, count: records.length, records };
+}
+
+function missingRates(cache, cacheName) {
+  const result = {};
+  Object.keys(TABLES[cacheName]).forEach((tableName) => {
+    const rows = cache[tableName] || [];
+    const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))].filter((c) => !derived.has(c));
+    result[tableName] = {
+      rows: rows.length,
+      columns: Object.fromEntries(
+        columns.map((column) => {
+          const missing = rows.filter((row) => isMissing(row[column])).length;
+          return [column, { missing, rate: rows.length ? Math.round((missing / rows.length) * 1000) / 10 : 0 }];
+        })
+      ),
+    };
+  });
+  return result;
+}
+
+function rangeFindings(cache, cacheName, tableName, ranges) {
+  const rows = cache[tableName] || [];
+  const findings = [];
+  Object.values(ranges).forEach(([column, min, max, unit]) => {
+    if (!column) return;
+    const nonNumeric = [];
+    const outside = [];
+    rows.forEach((row, i) => {
+      const value = row[column];
+      if (isMissing(value)) return;
+      const n = toNumber(value);
+      if (n === null) nonNumeric.push({ ...recordRef(cacheName, tableName, row, i), value });
+      else if (n < min || n > max) outside.push({ ...recordRef(cacheName, tableName, row, i), value: n });
+    });
+    if (nonNumeric.length) {
+      findings.push(finding("non_numeric", tableName, column, `${column} is not a number`, nonNumeric));
+    }
+    if (outside.length) {
+      findings.push(finding("out_of_range", tableName, column, `${column} outside ${min}-${max} ${unit}`, outside));
+    }
+  });
+  return findings;
+}
+
+function visitFindings(cache, cacheName) {
+  const visits = cache.visits || [];
+  const ref = (row, i, extra) => ({ ...recordRef(cacheName, "visits", row, i), ...extra });
+  const ranges = { ...VISIT_RANGES };
+  // Weight is checked through its unit below
+  delete ranges.weight;
+  const findings = rangeFindings(cache, cacheName, "visits", ranges);
+
+  const malformedBp = [];
+  const bpOutside = [];
+  const bpInverted = [];
+  const [, sysMin, sysMax] = VISIT_RANGES.systolic;
+  const [, diaMin, diaMax] = VISIT_RANGES.diastolic;
+  const fundalMismatch = [];
+  const weightUnit = [];
+  const weightInvalid = [];
+
+  visits.forEach((v, i) => {
+    if (!isMissing(v.BLOOD_PRESSURE)) {
+      const value = v.BLOOD_PRESSURE;
+      if (v.SYSTOLIC_BP === null || v.DIASTOLIC_BP === null) {
+        malformedBp.push(ref(v, i, { value }));
+      } else if (v.SYSTOLIC_BP < sysMin || v.SYSTOLIC_BP > sysMax || v.DIASTOLIC_BP < diaMin || v.DIASTOLIC_BP > diaMax) {
+        bpOutside.push(ref(v, i, { value }));
+      } else if (v.SYSTOLIC_BP <= v.DIASTOLIC_BP) {
+        bpInverted.push(ref(v, i, { value }));
+      }
+    }
+
+    const ga = toNumber(v.GESTATIONAL_AGE_WEEKS);
+    const fundal = toNumber(v.FUNDAL_HEIGHT);
+    if (ga !== null && fundal !== null && ga >= FUNDAL_CHECK_FROM_WEEK && Math.abs(fundal - ga) > FUNDAL_TOLERANCE_CM) {
+      fundalMismatch.push(ref(v, i, { value: fundal, gestationalAgeWeeks: ga }));
+    }
+
+    if (!isMissing(v.MATERNAL_WEIGHT)) {
+      if (v.MATERNAL_WEIGHT_KG === null) weightInvalid.push(ref(v, i, { value: v.MATERNAL_WEIGHT }));
+      else if (v.MATERNAL_WEIGHT_KG !== toNumber(v.MATERNAL_WEIGHT)) {
+        weightUnit.push(ref(v, i, { value: v.MATERNAL_WEIGHT, convertedKg: v.MATERNAL_WEIGHT_KG }));
+      }
+    }
+  });
+
+  findings.push(
+    finding("malformed", "visits", "BLOOD_PRESSURE", "BLOOD_PRESSURE is not systolic/diastolic", malformedBp),
+    finding("out_of_range", "visits", "BLOOD_PRESSURE",
+      `BLOOD_PRESSURE outside ${sysMin}-${sysMax} / ${diaMin}-${diaMax} mmHg`, bpOutside),
+    finding("inconsistent", "visits", "BLOOD_PRESSURE", "systolic is not higher than diastolic", bpInverted),
+    finding("inconsistent", "visits", "FUNDAL_HEIGHT",
+      `FUNDAL_HEIGHT differs from gestational age by more than ${FUNDAL_TOLERANCE_CM} cm (from week ${FUNDAL_CHECK_FROM_WEEK})`,
+      fundalMismatch),
+    finding("unit_mismatch", "visits", "MATERNAL_WEIGHT", "MATERNAL_WEIGHT looks like pounds or grams", weightUnit),
+    finding("out_of_range", "visits", "MATERNAL_WEIGHT", "MATERNAL_WEIGHT is not a plausible weight in any unit", weightInvalid)
+  );
+
+  // Same patient, date and gestational age
+  const seen = new Map();
+  visits.forEach((v, i) => {
+    const key = `${v.PATIENT_ID}|${v.VISIT_DATE}|${v.GESTATIONAL_AGE_WEEKS}`;
+    if (!seen.has(key)) seen.set(key, []);
+    seen.get(key).push([v, i]);
+  });
+  const duplicates = [...seen.values()]
+    .filter((group) => group.length > 1)
+    .map((group) => {
+      const identical = group.every(([v]) => JSON.stringify(v) === JSON.stringify(group[0][0]));
+      // Every copy's ref, so each one can be found and fixed
+      return {
+        ...ref(group[0][0], group[0][1]),
+        copies: group.length,
+        copyIds: group.map(([v, i]) => ref(v, i).id),
+        identical,
+      };
+    });
+  findings.push(finding("duplicate", "visits", null, "several visit rows for the same patient, date and gestational age", duplicates));
+
+  return findings;
+}
+
+function orphanFindings(cache, cacheName) {
+  const { patientsById, pregnanciesByPatient } = cache.indexes;
+  const findings = [];
+  Object.keys(TABLES[cacheName])
+    .filter((tableName) => tableName !== "patients")
+    .forEach((tableName) => {
+      const orphans = (cache[tableName] || [])
+        .map((row, i) => [row, i])
+        .filter(([row]) => !patientsById.has(patientKey(row.PATIENT_ID)))
+        .map(([row, i]) => recordRef(cacheName, tableName, row, i));
+      findings.push(finding("orphan", tableName, "PATIENT_ID", `${tableName} rows with no matching patient`, orphans));
+    });
+
+  if (cache.babies) {
+    const positions = new Map(cache.babies.map((row, i) => [row, i]));
+    const unlinked = [...pregnanciesByPatient.values()].flatMap((model) => model.unlinkedBabies);
+    findings.push(
+      finding("orphan", "babies", "DELIVERY_ID", "babies that cannot be linked to a delivery",
+        unlinked.map((row) => recordRef(cacheName, "babies", row, positions.get(row))))
+    );
+  }
+  return findings;
+}
+
+function deliveryFindings(cache, cacheName) {
+  if (!cache.deliveries) return [];
+  const unrecognized = cache.deliveries
+    .map((row, i) => [row, i])
+    .filter(([row]) => row.DELIVERY_MODE_CATEGORY === null)
+    .map(([row, i]) => ({ ...recordRef(cacheName, "deliveries", row, i), value: row.DELIVERY_MODE ?? null }));
+
+  return [
+    ...rangeFindings(cache, cacheName, "deliveries", DELIVERY_RANGES),
+    finding("unrecognized", "deliveries", "DELIVERY_MODE",
+      "DELIVERY_MODE missing or not recognized as vaginal, assisted vaginal or C-section", unrecognized),
+  ];
+}
+
+function babyFindings(cache, cacheName) {
+  if (!cache.babies) return [];
+  const weightUnit = [];
+  const weightInvalid = [];
+  cache.babies.forEach((b, i) => {
+    if (isMissing(b.BIRTH_WEIGHT)) return;
+    if (b.BIRTH_WEIGHT_KG === null) weightInvalid.push({ ...recordRef(cacheName, "babies", b, i), value: b.BIRTH_WEIGHT });
+    else if (b.BIRTH_WEIGHT_KG !== toNumber(b.BIRTH_WEIGHT)) {
+      weightUnit.push({ ...recordRef(cacheName, "babies", b, i), value: b.BIRTH_WEIGHT, convertedKg: b.BIRTH_WEIGHT_KG });
+    }
+  });
+
+  const ranges = { ...BABY_RANGES };
+  delete ranges.birthWeight;
+  return [
+    ...rangeFindings(cache, cacheName, "babies", ranges),
+    finding("unit_mismatch", "babies", "BIRTH_WEIGHT", "BIRTH_WEIGHT looks like grams", weightUnit),
+    finding("out_of_range", "babies", "BIRTH_WEIGHT", "BIRTH_WEIGHT is not a plausible weight", weightInvalid),
+  ];
+}
+
+function buildReport(cache, cacheName) {
+  const findings = [
+    ...visitFindings(cache, cacheName),
+    ...deliveryFindings(cache, cacheName),
+    ...babyFindings(cache, cacheName),
+    ...orphanFindings(cache, cacheName),
+  ].filter((f) => f.count > 0);
+
+  return {
+    tables: missingRates(cache, cacheName),
+    totalFindings: findings.reduce((sum, f) => sum + f.count, 0),
+    findings,
+  };
+}
+
+// Report for one cache; each finding lists at most `limit` records
+export function dataQualityReport(cache, cacheName, { limit = DEFAULT_RECORD_LIMIT } = {}) {
+  let report = reportsByIndexes.get(cache.indexes);
+  if (!report) {
+    report = buildReport(cache, cacheName);
+    reportsByIndexes.set(cache.indexes, report);
+  }
+  return {
+    ...report,
+    findings: report.findings.map((f) => ({ ...f, records: f.records.slice(0, limit), truncated: f.count > limit })),
+  };
+}
@@ -0,0 +1,45 @@
+// utils/dataSource.js
+
+import SnowflakeDataSource from "./SnowflakeDataSource.js";
+import LocalDataSource from "./LocalDataSource.js";
+
+// Every data source implements:
+//   connect()                                         -> Promise
+//   status()                                          -> connection state
+//   fetchTable(cacheName, tableName, options)         -> Promise<rows>
+//     options: { since, changeColumn } for changed rows only
+//   insertRow(cacheName, tableName, row)              -> Promise<row>
+//   deleteRows(cacheName, tableName, column, value)   -> Promise<count>
+// Select one with DATA_SOURCE=snowflake (default) or DATA_SOURCE=local.
+export function createDataSource(env = process.env) {
+  const kind = (env.DATA_SOURCE || "snowflake").toLowerCase();
+
+  if (kind === "local") {
+    return new LocalDataSource({ dataDir: env.LOCAL_DATA_DIR });
+  }
+
+  if (kind === "snowflake") {
+    return new SnowflakeDataSource({
+      account: env.SF_ACCOUNT,
+      username: env.SF_USER,
+      password: env.SF_PASSWORD,
+      warehouse: env.SF_WAREHOUSE,
+      database: env.SF_DATABASE,
+      schema: env.SF_SCHEMA,
+    }, {
+      poolMax: numberOrUndefined(env.SF_POOL_MAX),
+      poolMin: numberOrUndefined(env.SF_POOL_MIN),
+      queryTimeoutMs: numberOrUndefined(env.SF_QUERY_TIMEOUT_MS),
+      connectTimeoutMs: numberOrUndefined(env.SF_CONNECT_TIMEOUT_MS),
+      maxRetries: numberOrUndefined(env.SF_QUERY_RETRIES),
+      baseDelayMs: numberOrUndefined(env.SF_RECONNECT_BASE_MS),
+      maxDelayMs: numberOrUndefined(env.SF_RECONNECT_MAX_MS),
+    });
+  }
+
+  throw new Error(`Unknown DATA_SOURCE "${env.DATA_SOURCE}" (expected "snowflake" or "local")`);
+}
+
+function numberOrUndefined(value) {
+  return value === undefined || value === "" ? undefined : Number(value);
+}
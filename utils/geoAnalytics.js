@@ -0,0 +1,136 @@
+// utils/geoAnalytics.js
+
+import { AnalyticsQueryError, babiesByDelivery, deliveryOutcome, OUTCOMES, COHORTS, LOW_BIRTH_WEIGHT_KG } from "./analytics.js";
+import { REGION_LEVELS } from "./Gazetteer.js";
+import { DELIVERY_MODE, toYesNo } from "./normalize.js";
+
+// Patients, deliveries and adverse outcomes per region, from an analytics
+// selection (filterCohorts). Every row is placed by its patient's ADDRESS,
+// resolved through the gazetteer and rolled up to the requested level.
+// Addresses that don't resolve that far are grouped by their cleaned-up
+// text under `unresolved`, so nothing silently drops out of the totals.
+
+export function parseGeoOptions(query = {}) {
+  const level = String(query.level || "district").toLowerCase();
+  if (!REGION_LEVELS.includes(level)) {
+    throw new AnalyticsQueryError(`level must be one of ${REGION_LEVELS.join(", ")}`);
+  }
+  return { level };
+}
+
+function emptyBucket(base) {
+  return {
+    ...base,
+    addresses: new Set(),
+    patientRows: Object.fromEntries(COHORTS.map((cohort) => [cohort, []])),
+    deliveries: 0,
+    cSectionDeliveries: 0,
+    outcomes: Object.fromEntries(OUTCOMES.map((o) => [o, 0])),
+    babies: 0,
+    nicuAdmissions: 0,
+    lowBirthWeight: 0,
+  };
+}
+
+const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : null);
+
+function finish(bucket, countPersons) {
+  const { addresses, patientRows, ...rest } = bucket;
+  const patients = Object.fromEntries(COHORTS.map((cohort) => [cohort, countPersons(cohort, patientRows[cohort])]));
+  const adverseOutcomes = bucket.outcomes.PREMATURE + bucket.outcomes.MORTALITY;
+  return {
+    ...rest,
+    addresses: [...addresses].sort(),
+    patients: { ...patients, total: Object.values(patients).reduce((a, b) => a + b, 0) },
+    cSectionRate: percent(bucket.cSectionDeliveries, bucket.deliveries),
+    adverseOutcomes,
+    adverseOutcomeRate: percent(adverseOutcomes, bucket.deliveries),
+    nicuAdmissionRate: percent(bucket.nicuAdmissions, bucket.babies),
+  };
+}
+
+export function aggregateByRegion(selection, gazetteer, { level = "district", countPersons = (cohort, patients) => patients.length } = {}) {
+  const buckets = new Map();
+  const unresolved = new Map();
+
+  const bucketFor = (address) => {
+    const { text, region } = gazetteer.resolve(address);
+    const target = gazetteer.ancestor(region, level);
+    if (target) {
+      if (!buckets.has(target.key)) {
+        const { key, name, state, district, locality, centroid, geometry } = target;
+        buckets.set(key, emptyBucket({ key, name, level, state, district, locality, centroid, geometry }));
+      }
+      return buckets.get(target.key);
+    }
+    if (!unresolved.has(text)) {
+      unresolved.set(text, emptyBucket({
+        key: text,
+        name: String(address ?? "").trim() || "(no address)",
+        // Resolved, but not down to the requested level
+        resolvedTo: region ? { level: region.level, key: region.key } : null,
+      }));
+    }
+    return unresolved.get(text);
+  };
+
+  COHORTS.forEach((cohort) => {
+    const { patients } = selection[cohort];
+    patients.forEach((patient) => {
+      const bucket = bucketFor(patient.ADDRESS);
+      bucket.patientRows[cohort].push(patient);
+      if (String(patient.ADDRESS ?? "").trim()) bucket.addresses.add(String(patient.ADDRESS).trim());
+    });
+  });
+
+  // Rows follow their patient; rows without a patient record count as unaddressed
+  const { patients, deliveries, babies } = selection.historical;
+  const addressOf = new Map(patients.map((p) => [Number(p.PATIENT_ID), p.ADDRESS]));
+  const babiesOf = babiesByDelivery(selection.historical);
+
+  deliveries.forEach((delivery) => {
+    const bucket = bucketFor(addressOf.get(Number(delivery.PATIENT_ID)));
+    bucket.deliveries++;
+    if (delivery.DELIVERY_MODE_CATEGORY === DELIVERY_MODE.C_SECTION) bucket.cSectionDeliveries++;
+    bucket.outcomes[deliveryOutcome(delivery, babiesOf.get(delivery))]++;
+  });
+  babies.forEach((baby) => {
+    const bucket = bucketFor(addressOf.get(Number(baby.PATIENT_ID)));
+    bucket.babies++;
+    if (toYesNo(baby.NICU_ADMISSION)) bucket.nicuAdmissions++;
+    if (baby.BIRTH_WEIGHT_KG !== null && baby.BIRTH_WEIGHT_KG !== undefined && baby.BIRTH_WEIGHT_KG < LOW_BIRTH_WEIGHT_KG) {
+      bucket.lowBirthWeight++;
+    }
+  });
+
+  const byPatients = (a, b) => b.patients.total - a.patients.total || a.name.localeCompare(b.name);
+  return {
+    level,
+    regions: [...buckets.values()].map((b) => finish(b, countPersons)).sort(byPatients),
+    unresolved: [...unresolved.values()].map((b) => finish(b, countPersons)).sort(byPatients),
+  };
+}
+
+// Regions with a geometry or centroid as a GeoJSON FeatureCollection
+export function toFeatureCollection({ level, regions, unresolved }) {
+  const features = regions
+    .filter((region) => region.geometry || region.centroid)
+    .map(({ geometry, centroid, ...properties }) => ({
+      type: "Feature",
+      id: properties.key,
+      geometry: geometry || { type: "Point", coordinates: centroid },
+      properties,
+    }));
+
+  return {
+    type: "FeatureCollection",
+    features,
+    // Foreign members: what couldn't be placed on the map
+    level,
+    unplaced: {
+      regions: regions.filter((region) => !region.geometry && !region.centroid).map((r) => r.key),
+      unresolvedAddresses: unresolved.length,
+      unresolvedPatients: unresolved.reduce((sum, u) => sum + u.patients.total, 0),
+    },
+  };
+}
@@ -0,0 +1,252 @@
+// utils/neonatalAnalytics.js
+
+import {
+  parseAnalyticsFilters, queryNumber, filterCohorts, ageOn, hasAnaemicVisit, LOW_BIRTH_WEIGHT_KG, LOW_APGAR,
+} from "./analytics.js";
+import { BABY_RANGES, DELIVERY_RANGES } from "./clinicalValidation.js";
+import { DELIVERY_MODE, complicationList, toNumber, toYesNo } from "./normalize.js";
+import { describeNumbers, distribution, quantile, rate, round } from "./statistics.js";
+
+// Neonatal outcomes for an analytics selection (filterCohorts, historical
+// cohort): size for gestational age, APGAR distributions, NICU admissions
+// and the most frequent NEONATAL_COMPLICATIONS, overall and broken down by
+// delivery mode and by maternal risk factor.
+//
+// Size for GA compares each birth weight with the P10-P90 of all hospital
+// births at the same completed week (SGA below P10, LGA above P90), pooling
+// up to MAX_POOL_WEEKS either side when a week has fewer than minSamples
+// births. Babies whose week is still too sparse are left unclassified.
+//
+// Maternal risk factors come from the mother's record, her age at the
+// delivery and the visits of that pregnancy; a baby counts under every
+// factor its mother had, or under "none".
+
+export const SIZE_FOR_GA = ["SGA", "AGA", "LGA"];
+
+export const MATERNAL_RISK_FACTORS = {
+  anaemia: "Haemoglobin below 11 g/dL at any visit",
+  hypertension: "Blood pressure of 140/90 or above at any visit",
+  teenage: "Under 18",
+  advancedAge: "Over 35",
+  underweight: "BMI below 18.5",
+  obesity: "BMI over 30",
+};
+
+const DEFAULT_TOP = 10;
+const MAX_TOP = 50;
+const DEFAULT_MIN_SAMPLES = 10;
+const MAX_POOL_WEEKS = 2;
+const APGAR_SCORES = Array.from({ length: 11 }, (_, i) => String(i));
+
+const referenceByIndexes = new WeakMap();
+
+export function parseNeonatalOptions(query = {}) {
+  return {
+    // Neonatal outcomes exist only for delivered (historical) patients
+    filters: parseAnalyticsFilters({ ...query, cohort: "historical" }),
+    top: queryNumber(query, "top", { fallback: DEFAULT_TOP, min: 1, max: MAX_TOP }),
+    minSamples: queryNumber(query, "minSamples", { fallback: DEFAULT_MIN_SAMPLES, min: 1, max: 1000 }),
+  };
+}
+
+// Completed week at birth, within the plausible delivery range
+function birthWeek(baby, delivery) {
+  const ga = toNumber(baby.GESTATIONAL_AGE_AT_BIRTH ?? delivery?.GESTATIONAL_AGE_AT_DELIVERY);
+  const [, min, max] = DELIVERY_RANGES.gestationalAgeAtDelivery;
+  return ga !== null && ga >= min && ga <= max ? Math.floor(ga) : null;
+}
+
+function birthWeight(baby) {
+  const kg = baby.BIRTH_WEIGHT_KG;
+  const [, min, max] = BABY_RANGES.birthWeight;
+  return kg !== null && kg !== undefined && kg >= min && kg <= max ? kg : null;
+}
+
+function buildReference(cache, minSamples) {
+  // Every hospital birth, whatever the request filters
+  const { babies, babyDeliveries } = filterCohorts({ historical: cache }, parseAnalyticsFilters({ cohort: "historical" })).historical;
+
+  const byWeek = new Map();
+  babies.forEach((baby) => {
+    const week = birthWeek(baby, babyDeliveries.get(baby));
+    const kg = birthWeight(baby);
+    if (week === null || kg === null) return;
+    if (!byWeek.has(week)) byWeek.set(week, []);
+    byWeek.get(week).push(kg);
+  });
+
+  const reference = new Map();
+  byWeek.forEach((own, week) => {
+    let values = own;
+    let spread = 0;
+    while (values.length < minSamples && spread < MAX_POOL_WEEKS) {
+      spread++;
+      values = [];
+      for (let w = week - spread; w <= week + spread; w++) values.push(...(byWeek.get(w) || []));
+    }
+    const sorted = [...values].sort((a, b) => a - b);
+    reference.set(week, {
+      week,
+      n: own.length,
+      ...(spread ? { pooledN: sorted.length, pooledWeeks: [week - spread, week + spread] } : {}),
+      sparse: sorted.length < minSamples,
+      p10: round(quantile(sorted, 0.1), 3),
+      p50: round(quantile(sorted, 0.5), 3),
+      p90: round(quantile(sorted, 0.9), 3),
+    });
+  });
+  return reference;
+}
+
+// Birth weight P10/P50/P90 per completed week over every hospital birth,
+// memoized per cache load
+export function birthWeightReference(cache, { minSamples = DEFAULT_MIN_SAMPLES } = {}) {
+  let byMinSamples = referenceByIndexes.get(cache.indexes);
+  if (!byMinSamples) {
+    byMinSamples = new Map();
+    referenceByIndexes.set(cache.indexes, byMinSamples);
+  }
+  if (!byMinSamples.has(minSamples)) byMinSamples.set(minSamples, buildReference(cache, minSamples));
+  return byMinSamples.get(minSamples);
+}
+
+function sizeForGestationalAge(kg, week, reference) {
+  const ref = week === null || kg === null ? null : reference.get(week);
+  if (!ref || ref.sparse) return null;
+  if (kg < ref.p10) return "SGA";
+  if (kg > ref.p90) return "LGA";
+  return "AGA";
+}
+
+// Risk factors of the pregnancy that ended in `delivery` (a pregnancy model
+// delivery, see utils/pregnancyModel.js)
+function maternalRiskFactors(indexes, patientId, delivery) {
+  const patient = indexes.patientsById.get(patientId);
+  if (!patient) return [];
+  const pregnancy = delivery
+    ? indexes.pregnanciesByPatient.get(patientId)?.pregnancies.find((p) =>
+      p.deliveries.some((d) => d.deliveryKey === delivery.deliveryKey))
+    : null;
+  const visits = pregnancy?.visits || [];
+  const age = ageOn(patient, delivery?.DELIVERY_DATE);
+  const bmi = toNumber(patient.BMI_VALUE);
+  const present = {
+    anaemia: hasAnaemicVisit(visits),
+    hypertension: visits.some((v) => toNumber(v.SYSTOLIC_BP) >= 140 || toNumber(v.DIASTOLIC_BP) >= 90),
+    teenage: age !== null && age < 18,
+    advancedAge: age !== null && age > 35,
+    underweight: bmi !== null && bmi < 18.5,
+    obesity: bmi !== null && bmi > 30,
+  };
+  return Object.keys(MATERNAL_RISK_FACTORS).filter((factor) => present[factor]);
+}
+
+// One row per baby with everything the breakdowns need
+function babyRows(selection, indexes, reference) {
+  const { babies, babyDeliveries } = selection.historical;
+  // Twins share their delivery's factors
+  const factorsOf = new Map();
+
+  return babies.map((baby) => {
+    const delivery = babyDeliveries.get(baby);
+    const patientId = Number(baby.PATIENT_ID);
+    const key = delivery ? `${patientId}|${delivery.deliveryKey}` : `${patientId}`;
+    if (!factorsOf.has(key)) factorsOf.set(key, maternalRiskFactors(indexes, patientId, delivery));
+
+    const week = birthWeek(baby, delivery);
+    const kg = birthWeight(baby);
+    return {
+      deliveryMode: delivery?.DELIVERY_MODE_CATEGORY || "UNKNOWN",
+      riskFactors: factorsOf.get(key),
+      week,
+      kg,
+      size: sizeForGestationalAge(kg, week, reference),
+      apgar1: toNumber(baby.APGAR_SCORE_1MIN),
+      apgar5: toNumber(baby.APGAR_SCORE_5MIN),
+      nicu: toYesNo(baby.NICU_ADMISSION),
+      complications: complicationList(baby.NEONATAL_COMPLICATIONS),
+    };
+  });
+}
+
+function apgarSummary(scores) {
+  const known = scores.filter((s) => s !== null);
+  const { percentages, counts } = distribution(known.map(String), APGAR_SCORES);
+  return {
+    ...describeNumbers(known, 1),
+    distribution: { counts, percentages },
+    low: rate(known.filter((s) => s < LOW_APGAR).length, known.length),
+  };
+}
+
+function topComplications(rows, top) {
+  const counts = new Map();
+  rows.forEach((row) => {
+    // Each complication once per baby, whatever its spelling
+    new Set(row.complications.map((c) => c.toLowerCase())).forEach((key) => {
+      if (!counts.has(key)) counts.set(key, { complication: row.complications.find((c) => c.toLowerCase() === key), count: 0 });
+      counts.get(key).count++;
+    });
+  });
+  return [...counts.values()]
+    .sort((a, b) => b.count - a.count || a.complication.localeCompare(b.complication))
+    .slice(0, top)
+    .map((c) => ({ ...c, rate: rate(c.count, rows.length).rate }));
+}
+
+function summarizeBabies(rows, top) {
+  const weights = rows.map((r) => r.kg).filter((kg) => kg !== null);
+  const sizes = distribution(rows.map((r) => r.size), SIZE_FOR_GA);
+  const nicuKnown = rows.filter((r) => r.nicu !== null);
+  return {
+    babies: rows.length,
+    birthWeightKg: {
+      ...describeNumbers(weights),
+      lowBirthWeight: rate(weights.filter((kg) => kg < LOW_BIRTH_WEIGHT_KG).length, weights.length),
+    },
+    sizeForGestationalAge: {
+      counts: sizes.counts,
+      percentages: sizes.percentages,
+      unclassified: sizes.unknown,
+    },
+    apgar1Min: apgarSummary(rows.map((r) => r.apgar1)),
+    apgar5Min: apgarSummary(rows.map((r) => r.apgar5)),
+    nicuAdmission: rate(nicuKnown.filter((r) => r.nicu).length, nicuKnown.length),
+    babiesWithComplications: rate(rows.filter((r) => r.complications.length).length, rows.length),
+    topComplications: topComplications(rows, top),
+  };
+}
+
+// { overall, byDeliveryMode, byMaternalRiskFactor }
+// indexes: the hospital cache indexes (mothers' records and visits)
+export function neonatalOutcomes(selection, indexes, { reference, top = DEFAULT_TOP }) {
+  const rows = babyRows(selection, indexes, reference);
+
+  const modes = [...Object.values(DELIVERY_MODE), "UNKNOWN"];
+  const byDeliveryMode = Object.fromEntries(
+    modes
+      .map((mode) => [mode, rows.filter((r) => r.deliveryMode === mode)])
+      .filter(([mode, group]) => mode !== "UNKNOWN" || group.length)
+      .map(([mode, group]) => [mode, summarizeBabies(group, top)])
+  );
+
+  const byMaternalRiskFactor = Object.fromEntries([
+    ...Object.entries(MATERNAL_RISK_FACTORS).map(([factor, description]) => [
+      factor,
+      { description, ...summarizeBabies(rows.filter((r) => r.riskFactors.includes(factor)), top) },
+    ]),
+    ["none", { description: "None of the above", ...summarizeBabies(rows.filter((r) => !r.riskFactors.length), top) }],
+  ]);
+
+  return { overall: summarizeBabies(rows, top), byDeliveryMode, byMaternalRiskFactor };
+}
+
+// One row per group (overall, each delivery mode, each risk factor), for
+// the CSV / Excel export
+export function neonatalTable({ overall, byDeliveryMode, byMaternalRiskFactor }) {
+  return [
+    { breakdown: "overall", group: "all", ...overall },
+    ...Object.entries(byDeliveryMode).map(([group, summary]) => ({ breakdown: "deliveryMode", group, ...summary })),
+    ...Object.entries(byMaternalRiskFactor).map(([group, summary]) => ({ breakdown: "maternalRiskFactor", group, ...summary })),
+  ];
+}
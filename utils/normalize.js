@@ -0,0 +1,228 @@
+// utils/normalize.js
+
+// Typed clinical fields, computed once when rows enter a cache (full and
+// incremental loads, snapshots, rows written by this server). Raw columns are
+// kept as the source sent them, apart from:
+//   - numeric strings in numeric columns become numbers
+//   - dates become YYYY-MM-DD in the hospital timezone
+// and these columns are added:
+//   visits      SYSTOLIC_BP, DIASTOLIC_BP, MATERNAL_WEIGHT_KG
+//   patients    AGE (from DATE_OF_BIRTH)
+//   deliveries  DELIVERY_MODE_CATEGORY (see DELIVERY_MODE)
+//   babies      BIRTH_WEIGHT_KG
+// Normalizing an already normalized row returns the same values.
+
+// Columns added by normalizeRow (not present in the source views)
+export const DERIVED_COLUMNS = ["SYSTOLIC_BP", "DIASTOLIC_BP", "MATERNAL_WEIGHT_KG", "AGE", "DELIVERY_MODE_CATEGORY", "BIRTH_WEIGHT_KG"];
+
+export const DELIVERY_MODE = Object.freeze({
+  VAGINAL: "VAGINAL",
+  ASSISTED_VAGINAL: "ASSISTED_VAGINAL",
+  C_SECTION: "C_SECTION",
+});
+
+// Order matters: "Assisted Vaginal" is not a plain vaginal delivery
+const DELIVERY_MODE_PATTERNS = [
+  [/assisted|forceps|vacuum|ventouse|instrumental/, DELIVERY_MODE.ASSISTED_VAGINAL],
+  [/c[\s_-]*section|caesarean|cesarean|\bc\/s\b|\blscs\b/, DELIVERY_MODE.C_SECTION],
+  [/vaginal|normal|\bnvd\b|\bsvd\b|spontaneous/, DELIVERY_MODE.VAGINAL],
+];
+
+const NUMERIC_COLUMNS = {
+  visits: ["GESTATIONAL_AGE_WEEKS", "MATERNAL_WEIGHT", "FUNDAL_HEIGHT", "HEMOGLOBIN_LEVEL", "FETAL_HEART_RATE"],
+  patients: ["BMI_VALUE", "GRAVIDA", "PARITY"],
+  deliveries: ["GESTATIONAL_AGE_AT_DELIVERY", "LENGTH_OF_STAY"],
+  babies: ["BIRTH_WEIGHT", "APGAR_SCORE_1MIN", "APGAR_SCORE_5MIN", "GESTATIONAL_AGE_AT_BIRTH"],
+};
+
+const DATE_COLUMNS = {
+  visits: ["VISIT_DATE"],
+  patients: ["DATE_OF_BIRTH"],
+  deliveries: ["DELIVERY_DATE"],
+  babies: ["BIRTH_DATE", "DATE_OF_BIRTH", "DELIVERY_DATE"],
+};
+
+let timeZone = "Asia/Kolkata";
+let dateFormatter = null;
+
+// Called once at startup (HOSPITAL_TIMEZONE)
+export function configureNormalization(options = {}) {
+  if (options.timeZone) {
+    // Throws a RangeError for an unknown zone
+    new Intl.DateTimeFormat("en-CA", { timeZone: options.timeZone });
+    timeZone = options.timeZone;
+    dateFormatter = null;
+  }
+  return { timeZone };
+}
+
+export function hospitalTimeZone() {
+  return timeZone;
+}
+
+function formatter() {
+  if (!dateFormatter) {
+    // en-CA formats as YYYY-MM-DD
+    dateFormatter = new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" });
+  }
+  return dateFormatter;
+}
+
+export function toNumber(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  const text = String(value).trim();
+  if (!/^-?\d+(\.\d+)?$/.test(text)) return null;
+  return Number(text);
+}
+
+// true / false for Yes/No style flags (NICU_ADMISSION), null when unknown
+export function toYesNo(value) {
+  if (value === true || value === false) return value;
+  const text = String(value ?? "").trim().toLowerCase();
+  if (["yes", "y", "true", "1"].includes(text)) return true;
+  if (["no", "n", "false", "0"].includes(text)) return false;
+  return null;
+}
+
+const NO_COMPLICATION = /^(none|nil|no|na|n\/a|-|normal)$/i;
+
+// Free-text complications ("Jaundice, Respiratory distress") as a list,
+// without the placeholders that mean there were none
+export function complicationList(value) {
+  return String(value ?? "")
+    .split(/[,;]+/)
+    .map((c) => c.trim().replace(/\s+/g, " "))
+    .filter((c) => c && !NO_COMPLICATION.test(c));
+}
+
+// YYYY-MM-DD in the hospital timezone, or null when the value is not a date.
+// Dates without a time (and timestamps without a zone) are already local;
+// only instants are converted.
+export function toIsoDate(value) {
+  if (value === null || value === undefined || value === "") return null;
+
+  if (typeof value === "string") {
+    const text = value.trim();
+    let m = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?))?$/);
+    if (m) return validDate(m[1], m[2], m[3]);
+    // Indian day-first format
+    m = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+    if (m) return validDate(m[3], m[2].padStart(2, "0"), m[1].padStart(2, "0"));
+  }
+
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  // DATE columns arrive as UTC midnight
+  if (date.getUTCHours() === 0 && date.getUTCMinutes() === 0 && date.getUTCSeconds() === 0 && date.getUTCMilliseconds() === 0) {
+    return date.toISOString().slice(0, 10);
+  }
+  return formatter().format(date);
+}
+
+function validDate(year, month, day) {
+  const iso = `${year}-${month}-${day}`;
+  const date = new Date(`${iso}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === iso ? iso : null;
+}
+
+export function todayIso(now = new Date()) {
+  return formatter().format(now);
+}
+
+// Whole years between two YYYY-MM-DD dates
+export function ageFromDateOfBirth(dateOfBirth, on = todayIso()) {
+  const dob = toIsoDate(dateOfBirth);
+  if (!dob || !on) return null;
+  const [y1, m1, d1] = dob.split("-").map(Number);
+  const [y2, m2, d2] = on.split("-").map(Number);
+  const age = y2 - y1 - (m2 < m1 || (m2 === m1 && d2 < d1) ? 1 : 0);
+  return age >= 0 ? age : null;
+}
+
+// { systolic, diastolic } as numbers; `fallback` fills missing values. A
+// lone number ("120") is read as the systolic value.
+export function parseBloodPressure(bp, fallback = { systolic: null, diastolic: null }) {
+  const m = String(bp ?? "").match(/^\s*(\d{2,3}(?:\.\d+)?)\s*(?:\/\s*(\d{2,3}(?:\.\d+)?))?/);
+  return {
+    systolic: m ? Number(m[1]) : fallback.systolic,
+    diastolic: m?.[2] ? Number(m[2]) : fallback.diastolic,
+  };
+}
+
+export function normalizeDeliveryMode(mode) {
+  const text = String(mode ?? "").toLowerCase();
+  if (!text.trim()) return null;
+  const match = DELIVERY_MODE_PATTERNS.find(([pattern]) => pattern.test(text));
+  return match ? match[1] : null;
+}
+
+// Maternal weight in kg. Values only plausible in pounds or grams are
+// converted; anything else outside 30-200 kg is rejected.
+export function maternalWeightKg(value) {
+  const n = toNumber(value);
+  if (n === null) return null;
+  if (n >= 30 && n <= 200) return n;
+  if (n > 200 && n <= 440) return Math.round((n / 2.20462) * 10) / 10;
+  if (n >= 30000 && n <= 200000) return Math.round(n / 100) / 10;
+  return null;
+}
+
+// Birth weight in kg; gram values are converted, 0.3-6.5 kg accepted
+export function birthWeightKg(value) {
+  const n = toNumber(value);
+  if (n === null) return null;
+  if (n >= 0.3 && n <= 6.5) return n;
+  if (n >= 300 && n <= 6500) return n / 1000;
+  return null;
+}
+
+export function normalizeRow(tableName, row, { today = todayIso() } = {}) {
+  const out = { ...row };
+
+  (NUMERIC_COLUMNS[tableName] || []).forEach((column) => {
+    const n = toNumber(out[column]);
+    if (n !== null) out[column] = n;
+  });
+  (DATE_COLUMNS[tableName] || []).forEach((column) => {
+    const iso = toIsoDate(out[column]);
+    if (iso) out[column] = iso;
+  });
+
+  if (tableName === "visits") {
+    const { systolic, diastolic } = parseBloodPressure(out.BLOOD_PRESSURE);
+    out.SYSTOLIC_BP = systolic;
+    out.DIASTOLIC_BP = diastolic;
+    out.MATERNAL_WEIGHT_KG = maternalWeightKg(out.MATERNAL_WEIGHT);
+  } else if (tableName === "patients") {
+    out.AGE = ageFromDateOfBirth(out.DATE_OF_BIRTH, today) ?? toNumber(row.AGE);
+  } else if (tableName === "deliveries") {
+    out.DELIVERY_MODE_CATEGORY = normalizeDeliveryMode(out.DELIVERY_MODE);
+  } else if (tableName === "babies") {
+    out.BIRTH_WEIGHT_KG = birthWeightKg(out.BIRTH_WEIGHT);
+  }
+
+  return out;
+}
+
+// A cached row as the source table stores it: without the derived columns,
+// so it can be written back (e.g. when a patient moves between cohorts)
+export function sourceRow(row) {
+  const out = { ...row };
+  DERIVED_COLUMNS.forEach((column) => delete out[column]);
+  return out;
+}
+
+// Throws when a row about to be written still carries a derived column,
+// which the source tables don't have
+export function checkSourceColumns(cacheName, tableName, row) {
+  const derived = DERIVED_COLUMNS.filter((column) => column in row);
+  if (derived.length) {
+    throw new Error(`Cannot write ${derived.join(", ")} to ${cacheName}.${tableName}: derived column(s) are cache-only`);
+  }
+}
+
+export function normalizeRows(tableName, rows) {
+  const today = todayIso();
+  return (rows || []).map((row) => normalizeRow(tableName, row, { today }));
+}
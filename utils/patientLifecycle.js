@@ -0,0 +1,119 @@
+// utils/patientLifecycle.js
+
+import { identityKey } from "./cacheIndex.js";
+import { toIsoDate, sourceRow } from "./normalize.js";
+
+// Moving an ongoing pregnancy into the delivered (hospital) cohort once the
+// delivery has been recorded. The woman keeps her ongoing PATIENT_ID unless
+// she is already in the hospital cohort from an earlier pregnancy (same name
+// and date of birth), in which case the new pregnancy is added to that record.
+//
+// Recording the same delivery again (same woman, same delivery date) picks up
+// where an earlier, partly failed attempt stopped: rows it already wrote are
+// recognised and not written twice.
+
+export class LifecycleConflictError extends Error { }
+
+const SOURCE_SCHEMAS = ["MATURED", "PREMATURE", "MORTALITY"];
+const TERM_WEEKS = 37;
+const DEATH_PATTERN = /deceased|death|died|stillb/i;
+
+// MORTALITY when the mother or a baby died (or no live baby was recorded),
+// PREMATURE before 37 weeks, MATURED otherwise
+export function deliverySourceSchema(delivery, babies) {
+  const died =
+    DEATH_PATTERN.test(delivery.MOTHER_CONDITION_POST_DELIVERY || "") ||
+    !babies.length ||
+    babies.some((b) => DEATH_PATTERN.test(b.NEONATAL_COMPLICATIONS || ""));
+  if (died) return "MORTALITY";
+  return delivery.GESTATIONAL_AGE_AT_DELIVERY < TERM_WEEKS ? "PREMATURE" : "MATURED";
+}
+
+// Works out every row to write, without writing anything:
+//   { hospitalPatientId, linkedToExisting, sourceSchema, resumed,
+//     rows: { patients, visits, deliveries, babies },
+//     pending: the same, less rows an earlier attempt already wrote }
+// `delivery` and `babies` come from validateDelivery; `ongoingVisits` are
+// the visits of every record linked to the woman.
+export function planDeliveryPromotion({ ongoingPatient, ongoingVisits, hospitalIndexes, delivery, babies, sourceSchema }) {
+  if (sourceSchema && !SOURCE_SCHEMAS.includes(String(sourceSchema).toUpperCase())) {
+    throw new LifecycleConflictError(`sourceSchema must be one of: ${SOURCE_SCHEMAS.join(", ")}`);
+  }
+  const schema = sourceSchema ? String(sourceSchema).toUpperCase() : deliverySourceSchema(delivery, babies);
+
+  const key = identityKey(ongoingPatient);
+  const existing = (key && hospitalIndexes.patientsByIdentity.get(key)) || [];
+  if (existing.length > 1) {
+    throw new LifecycleConflictError(
+      `Patient matches ${existing.length} hospital records (${existing.map((p) => p.PATIENT_ID).join(", ")}); resolve the duplicates first`
+    );
+  }
+
+  const ongoingId = Number(ongoingPatient.PATIENT_ID);
+  let hospitalPatientId = ongoingId;
+  const patients = [];
+  if (existing.length) {
+    hospitalPatientId = Number(existing[0].PATIENT_ID);
+  } else {
+    const clash = hospitalIndexes.patientsById.get(ongoingId);
+    if (clash) {
+      throw new LifecycleConflictError(
+        `Hospital PATIENT_ID ${ongoingId} already belongs to ${clash.FIRST_NAME || ""} ${clash.LAST_NAME || ""}`.trim()
+      );
+    }
+    patients.push({ ...sourceRow(ongoingPatient), SOURCE_SCHEMA: schema });
+  }
+
+  const hospitalDeliveries = hospitalIndexes.deliveriesByPatient.get(hospitalPatientId) || [];
+  const deliveryDate = toIsoDate(delivery.DELIVERY_DATE);
+  const earlier = deliveryDate ? hospitalDeliveries.find((d) => toIsoDate(d.DELIVERY_DATE) === deliveryDate) : null;
+  if (earlier && !earlier.DELIVERY_ID) {
+    throw new LifecycleConflictError(`A delivery on ${deliveryDate} is already recorded for hospital patient ${hospitalPatientId}`);
+  }
+  const deliveryId = earlier ? String(earlier.DELIVERY_ID) : `${hospitalPatientId}-D${hospitalDeliveries.length + 1}`;
+  const deliveryRow = {
+    PATIENT_ID: hospitalPatientId,
+    DELIVERY_ID: deliveryId,
+    ...delivery,
+    SOURCE_SCHEMA: schema,
+  };
+
+  const rows = {
+    patients,
+    // The antenatal history moves with her. Cached rows carry derived
+    // columns (AGE, SYSTOLIC_BP, ...) that the hospital tables don't have.
+    visits: ongoingVisits.map((visit) => ({ ...sourceRow(visit), PATIENT_ID: hospitalPatientId, SOURCE_SCHEMA: schema })),
+    deliveries: [deliveryRow],
+    babies: babies.map((baby, index) => ({
+      PATIENT_ID: hospitalPatientId,
+      DELIVERY_ID: deliveryId,
+      BABY_ID: `${deliveryId}-B${index + 1}`,
+      ...baby,
+      SOURCE_SCHEMA: schema,
+    })),
+  };
+
+  return {
+    hospitalPatientId,
+    linkedToExisting: existing.length > 0,
+    sourceSchema: schema,
+    resumed: Boolean(earlier),
+    rows,
+    pending: earlier ? unwrittenRows(rows, hospitalPatientId, hospitalIndexes) : rows,
+  };
+}
+
+// The rows an earlier attempt didn't get to. Visits have no key, so a visit
+// counts as written when she has one on the same date at the same week.
+function unwrittenRows(rows, hospitalPatientId, hospitalIndexes) {
+  const visitKey = (v) => `${toIsoDate(v.VISIT_DATE)}|${v.GESTATIONAL_AGE_WEEKS ?? ""}`;
+  const writtenVisits = new Set((hospitalIndexes.visitsByPatient.get(hospitalPatientId) || []).map(visitKey));
+  const writtenBabies = new Set((hospitalIndexes.babiesByPatient.get(hospitalPatientId) || []).map((b) => String(b.BABY_ID)));
+  return {
+    patients: rows.patients.filter((p) => !hospitalIndexes.patientsById.has(Number(p.PATIENT_ID))),
+    visits: rows.visits.filter((v) => !writtenVisits.has(visitKey(v))),
+    // The delivery itself is what marked this as an earlier attempt
+    deliveries: [],
+    babies: rows.babies.filter((b) => !writtenBabies.has(String(b.BABY_ID))),
+  };
+}
@@ -0,0 +1,300 @@
+// utils/patientList.js
+
+import { matchesAddress } from "./analytics.js";
+import { assessRisk } from "./riskScoring.js";
+import { toIsoDate, toNumber } from "./normalize.js";
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Extra columns a client can request with ?fields=
+// (PATIENT_ID and PATIENT_NAME are always returned)
+const FIELD_ALIASES = {
+  age: "AGE",
+  bmi: "BMI_VALUE",
+  bmi_value: "BMI_VALUE",
+  bmistatus: "BMI_STATUS",
+  bmi_status: "BMI_STATUS",
+  address: "ADDRESS",
+  sourceschema: "SOURCE_SCHEMA",
+  source_schema: "SOURCE_SCHEMA",
+  lastvisit: "LAST_VISIT_DATE",
+  lastvisitdate: "LAST_VISIT_DATE",
+  last_visit_date: "LAST_VISIT_DATE",
+  visitcount: "VISIT_COUNT",
+  visit_count: "VISIT_COUNT",
+  risk: "RISK_SCORE",
+  risk_score: "RISK_SCORE",
+  risklevel: "RISK_LEVEL",
+  risk_level: "RISK_LEVEL",
+  gravida: "GRAVIDA",
+  parity: "PARITY",
+  bloodtype: "BLOOD_TYPE",
+  blood_type: "BLOOD_TYPE",
+};
+
+const SORT_KEYS = {
+  name: "PATIENT_NAME",
+  id: "PATIENT_ID",
+  lastvisit: "LAST_VISIT_DATE",
+  risk: "RISK_SCORE",
+  age: "AGE",
+  bmi: "BMI_VALUE",
+};
+
+export class ListQueryError extends Error { }
+
+export function patientName(patient) {
+  return `${patient.FIRST_NAME || ""} ${patient.LAST_NAME || ""}`.trim() || "Unknown Name";
+}
+
+// Who to contact, as worklists and schedules show a patient
+export function patientSummary(patient) {
+  return {
+    PATIENT_ID: patient.PATIENT_ID,
+    PATIENT_NAME: patientName(patient),
+    AGE: patient.AGE ?? null,
+    BMI_VALUE: toNumber(patient.BMI_VALUE),
+    PHONE_NUMBER: patient.PHONE_NUMBER ?? null,
+    ADDRESS: patient.ADDRESS ?? null,
+  };
+}
+
+// Derived list rows are computed once per cache load: a refresh swaps in a
+// new indexes object, which drops the memoized rows with it.
+const rowsByIndexes = new WeakMap();
+
+function listRows(cache) {
+  let rows = rowsByIndexes.get(cache.indexes);
+  if (!rows) {
+    rows = (cache.patients || []).map((patient) => {
+      const visits = cache.indexes.visitsByPatient.get(Number(patient.PATIENT_ID)) || [];
+      // Normalized visit dates are YYYY-MM-DD, which sort as strings
+      const lastVisit = visits.reduce((latest, v) => {
+        const date = toIsoDate(v.VISIT_DATE);
+        return date && (latest === null || date > latest) ? date : latest;
+      }, null);
+
+      return {
+        patient,
+        visits,
+        values: {
+          PATIENT_ID: patient.PATIENT_ID,
+          PATIENT_NAME: patientName(patient),
+          AGE: patient.AGE ?? null,
+          BMI_VALUE: toNumber(patient.BMI_VALUE),
+          BMI_STATUS: patient.BMI_STATUS ?? null,
+          ADDRESS: patient.ADDRESS ?? null,
+          SOURCE_SCHEMA: patient.SOURCE_SCHEMA ?? null,
+          LAST_VISIT_DATE: lastVisit,
+          VISIT_COUNT: visits.length,
+          GRAVIDA: patient.GRAVIDA ?? null,
+          PARITY: patient.PARITY ?? null,
+          BLOOD_TYPE: patient.BLOOD_TYPE ?? null,
+        },
+      };
+    });
+    rowsByIndexes.set(cache.indexes, rows);
+  }
+  return rows;
+}
+
+// Risk is only scored when a request sorts, filters or selects on it
+function withRisk(row) {
+  if (!("RISK_SCORE" in row.values)) {
+    const risk = assessRisk({ ...row.patient, AGE: row.values.AGE }, row.visits);
+    row.values.RISK_SCORE = risk ? risk.score : null;
+    row.values.RISK_LEVEL = risk ? risk.level : null;
+  }
+  return row;
+}
+
+function parseList(value) {
+  if (value === undefined || value === null || value === "") return [];
+  return String(value).split(",").map((v) => v.trim()).filter(Boolean);
+}
+
+function parseNumber(query, name) {
+  if (query[name] === undefined || query[name] === "") return null;
+  const n = Number(query[name]);
+  if (Number.isNaN(n)) throw new ListQueryError(`${name} must be a number`);
+  return n;
+}
+
+function parseFields(query) {
+  return parseList(query.fields).map((field) => {
+    const column = FIELD_ALIASES[field.toLowerCase()];
+    if (!column) {
+      throw new ListQueryError(
+        `Unknown field "${field}". Valid fields: ${Object.keys(FIELD_ALIASES).filter((f) => !f.includes("_")).join(", ")}`
+      );
+    }
+    return column;
+  });
+}
+
+function parseSort(query) {
+  const specs = parseList(query.sort);
+  return specs.map((spec) => {
+    const descending = spec.startsWith("-");
+    const key = SORT_KEYS[spec.replace(/^[-+]/, "").toLowerCase()];
+    if (!key) {
+      throw new ListQueryError(`Unknown sort "${spec}". Valid sorts: ${Object.keys(SORT_KEYS).join(", ")} (prefix with - for descending)`);
+    }
+    const order = String(query.order || "").toLowerCase() === "desc";
+    return { key, direction: descending || order ? -1 : 1 };
+  });
+}
+
+function parseFilters(query) {
+  const lower = (list) => list.map((v) => v.toLowerCase());
+  return {
+    address: lower(parseList(query.address)).filter((v) => v !== "all"),
+    sourceSchema: lower(parseList(query.sourceSchema)),
+    bmiStatus: lower(parseList(query.bmiStatus)),
+    riskLevel: lower(parseList(query.riskLevel)),
+    ageMin: parseNumber(query, "ageMin"),
+    ageMax: parseNumber(query, "ageMax"),
+    bmiMin: parseNumber(query, "bmiMin"),
+    bmiMax: parseNumber(query, "bmiMax"),
+    lastVisitFrom: query.lastVisitFrom || null,
+    lastVisitTo: query.lastVisitTo || null,
+  };
+}
+
+function matchesFilters(values, f) {
+  const inList = (list, value) => !list.length || (value !== null && list.includes(String(value).toLowerCase()));
+  const inRange = (min, max, value) =>
+    (min === null || (value !== null && value >= min)) && (max === null || (value !== null && value <= max));
+
+  return (
+    // Raw ADDRESS text or a gazetteer region name, as in the analytics filters
+    matchesAddress(values.ADDRESS, f.address) &&
+    inList(f.sourceSchema, values.SOURCE_SCHEMA) &&
+    inList(f.bmiStatus, values.BMI_STATUS) &&
+    inList(f.riskLevel, values.RISK_LEVEL) &&
+    inRange(f.ageMin, f.ageMax, values.AGE) &&
+    inRange(f.bmiMin, f.bmiMax, values.BMI_VALUE) &&
+    (!f.lastVisitFrom || (values.LAST_VISIT_DATE !== null && values.LAST_VISIT_DATE >= f.lastVisitFrom)) &&
+    (!f.lastVisitTo || (values.LAST_VISIT_DATE !== null && values.LAST_VISIT_DATE <= f.lastVisitTo))
+  );
+}
+
+// Nulls always sort last, whatever the direction
+function compareRows(sorts) {
+  return (a, b) => {
+    for (const { key, direction } of sorts) {
+      const x = a.values[key];
+      const y = b.values[key];
+      if (x === y) continue;
+      if (x === null || x === undefined) return 1;
+      if (y === null || y === undefined) return -1;
+      const diff = typeof x === "string" && typeof y === "string" ? x.localeCompare(y) : x < y ? -1 : 1;
+      if (diff !== 0) return diff * direction;
+    }
+    return 0;
+  };
+}
+
+function encodeCursor(offset) {
+  return Buffer.from(JSON.stringify({ offset })).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { offset } = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (Number.isInteger(offset) && offset >= 0) return offset;
+  } catch { }
+  throw new ListQueryError("Invalid cursor");
+}
+
+// One page of `rows` from ?page/?pageSize or ?cursor:
+// { total, page, pageSize, totalPages, nextCursor, items }
+export function paginate(rows, query = {}, { unpaged = false } = {}) {
+  const pageSize = unpaged
+    ? Math.max(1, rows.length)
+    : query.pageSize === undefined ? DEFAULT_PAGE_SIZE : Number(query.pageSize);
+  if (!unpaged && (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE)) {
+    throw new ListQueryError(`pageSize must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  let offset = 0;
+  let page = null;
+  if (query.cursor !== undefined) {
+    offset = decodeCursor(query.cursor);
+  } else {
+    page = query.page === undefined ? 1 : Number(query.page);
+    if (!Number.isInteger(page) || page < 1) throw new ListQueryError("page must be a positive integer");
+    offset = (page - 1) * pageSize;
+  }
+
+  const total = rows.length;
+  const nextOffset = offset + pageSize;
+  return {
+    total,
+    page: page ?? Math.floor(offset / pageSize) + 1,
+    pageSize,
+    totalPages: Math.ceil(total / pageSize),
+    nextCursor: nextOffset < total ? encodeCursor(nextOffset) : null,
+    items: rows.slice(offset, offset + pageSize),
+  };
+}
+
+// True when the request uses any list option, i.e. expects the envelope
+export function wantsListEnvelope(query) {
+  return ["page", "pageSize", "cursor", "sort", "order", "fields", "address", "sourceSchema", "bmiStatus",
+    "riskLevel", "ageMin", "ageMax", "bmiMin", "bmiMax", "lastVisitFrom", "lastVisitTo"]
+    .some((name) => query[name] !== undefined);
+}
+
+// Downloads cover every matching row unless a page is asked for explicitly
+export function asksForPage(query) {
+  return ["page", "pageSize", "cursor"].some((name) => query[name] !== undefined);
+}
+
+// Filtered and sorted (not paged) list rows, with the sorts and columns asked for
+function selectRows(cache, query) {
+  const fields = parseFields(query);
+  const sorts = parseSort(query);
+  const filters = parseFilters(query);
+
+  const needsRisk =
+    fields.includes("RISK_SCORE") || fields.includes("RISK_LEVEL") ||
+    sorts.some((s) => s.key === "RISK_SCORE") || filters.riskLevel.length > 0;
+
+  let rows = listRows(cache);
+  if (needsRisk) rows = rows.map(withRisk);
+  rows = rows.filter((row) => matchesFilters(row.values, filters));
+  if (sorts.length) rows = [...rows].sort(compareRows(sorts));
+
+  const columns = ["PATIENT_ID", "PATIENT_NAME", ...new Set(fields)];
+  return { rows, sorts, columns };
+}
+
+const projectRow = (row, columns) => Object.fromEntries(columns.map((column) => [column, row.values[column] ?? null]));
+
+function* projectRows(rows, columns) {
+  for (const row of rows) yield projectRow(row, columns);
+}
+
+// Filter, sort and paginate the patients of one cache ({ unpaged: true }
+// returns every match on one page). Throws ListQueryError for invalid query
+// parameters.
+export function queryPatientList(cache, query = {}, { unpaged = false } = {}) {
+  const { rows, sorts, columns } = selectRows(cache, query);
+  const { items, ...paging } = paginate(rows, query, { unpaged });
+  return {
+    ...paging,
+    sort: sorts.map(({ key, direction }) => `${direction < 0 ? "-" : ""}${key}`),
+    fields: columns,
+    patients: items.map((row) => projectRow(row, columns)),
+  };
+}
+
+// The rows of a download: every match, or the page asked for, projected
+// one at a time as `rows` is iterated
+export function patientListRows(cache, query = {}) {
+  const { rows, columns } = selectRows(cache, query);
+  const selected = asksForPage(query) ? paginate(rows, query).items : rows;
+  return { total: rows.length, fields: columns, rows: projectRows(selected, columns) };
+}
@@ -0,0 +1,201 @@
+// utils/patientSearch.js
+
+import { toIsoDate } from "./normalize.js";
+
+// Fuzzy patient search over one or more caches. Names are compared both as
+// typed and in a phonetic form that folds common transliteration variants of
+// Indian names (Lakshmi/Laxmi, Karthik/Kartik, Vasanthi/Wasanti, Deepa/Dipa).
+
+const PHONE_COLUMNS = ["PHONE_NUMBER", "PHONE", "MOBILE_NUMBER", "CONTACT_NUMBER"];
+const MIN_SCORE = 0.6;
+const MIN_ADDRESS_QUERY = 3;
+
+// Order matters: longer clusters first
+const PHONETIC_RULES = [
+  [/ksh/g, "x"],
+  [/ks/g, "x"],
+  [/([bcdgjkpt])h/g, "$1"],
+  [/sh/g, "s"],
+  [/zh/g, "l"],
+  [/w/g, "v"],
+  [/z/g, "j"],
+  [/q/g, "k"],
+  [/ck/g, "k"],
+  [/c(?=[eiy])/g, "s"],
+  [/c/g, "k"],
+  [/ee|ie|ii/g, "i"],
+  [/oo|ou|uu/g, "u"],
+  [/aa/g, "a"],
+  [/y$/g, "i"],
+  [/(.)\1+/g, "$1"],
+];
+
+export function normalizeText(value) {
+  return String(value ?? "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+export function phonetic(word) {
+  return PHONETIC_RULES.reduce((w, [pattern, replacement]) => w.replace(pattern, replacement), word);
+}
+
+// Damerau-Levenshtein distance (adjacent transpositions count as one edit)
+export function editDistance(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+// 0..1 similarity of a query token to a name token
+function tokenSimilarity(query, target) {
+  if (query === target) return 1;
+  if (query.length >= 2 && target.startsWith(query)) return 0.9;
+
+  const pq = phonetic(query);
+  const pt = phonetic(target);
+  if (pq === pt) return 0.9;
+  if (pq.length >= 3 && pt.startsWith(pq)) return 0.8;
+
+  // One typo for short words, two for longer ones
+  const allowed = Math.max(query.length, target.length) <= 5 ? 1 : 2;
+  const distance = Math.min(editDistance(query, target), editDistance(pq, pt));
+  if (distance > allowed) return 0;
+  return 0.85 - 0.1 * distance;
+}
+
+function matchTokens(queryTokens, targetTokens) {
+  if (!queryTokens.length || !targetTokens.length) return 0;
+  let total = 0;
+  for (const q of queryTokens) {
+    const best = Math.max(...targetTokens.map((t) => tokenSimilarity(q, t)));
+    if (best === 0) return 0;
+    total += best;
+  }
+  return total / queryTokens.length;
+}
+
+function digitsOf(value) {
+  return String(value ?? "").replace(/\D/g, "");
+}
+
+// Accepts YYYY-MM-DD, DD-MM-YYYY and DD/MM/YYYY
+function parseDateQuery(query) {
+  let m = query.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/);
+  if (m) return `${m[1]}-${m[2].padStart(2, "0")}-${m[3].padStart(2, "0")}`;
+  m = query.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/);
+  if (m) return `${m[3]}-${m[2].padStart(2, "0")}-${m[1].padStart(2, "0")}`;
+  return null;
+}
+
+const entriesByIndexes = new WeakMap();
+
+function searchEntries(cache) {
+  let entries = entriesByIndexes.get(cache.indexes);
+  if (!entries) {
+    entries = (cache.patients || []).map((patient) => {
+      const phoneColumn = PHONE_COLUMNS.find((column) => patient[column]);
+      return {
+        patient,
+        id: String(patient.PATIENT_ID ?? ""),
+        nameTokens: normalizeText(`${patient.FIRST_NAME || ""} ${patient.LAST_NAME || ""}`).split(" ").filter(Boolean),
+        addressText: normalizeText(patient.ADDRESS),
+        phone: phoneColumn ? digitsOf(patient[phoneColumn]) : "",
+        dateOfBirth: toIsoDate(patient.DATE_OF_BIRTH),
+      };
+    });
+    entriesByIndexes.set(cache.indexes, entries);
+  }
+  return entries;
+}
+
+function scoreEntry(entry, q) {
+  const matches = [];
+
+  if (q.raw === entry.id) matches.push(["PATIENT_ID", 1]);
+  else if (q.digits && q.digits === q.compact && entry.id.startsWith(q.digits)) matches.push(["PATIENT_ID", 0.7]);
+
+  if (entry.phone && q.phone.length >= 4 && q.digits === q.compact) {
+    if (entry.phone === q.phone) matches.push(["PHONE", 1]);
+    else if (q.phone.length >= 7 && entry.phone.endsWith(q.phone)) matches.push(["PHONE", 0.9]);
+    else if (entry.phone.includes(q.phone)) matches.push(["PHONE", 0.75]);
+  }
+
+  if (q.date && entry.dateOfBirth === q.date) matches.push(["DATE_OF_BIRTH", 1]);
+
+  if (q.tokens.length) {
+    const nameScore = matchTokens(q.tokens, entry.nameTokens);
+    if (nameScore > 0) matches.push(["NAME", nameScore]);
+
+    // Like phonetic prefixes, address matches need at least 3 characters;
+    // shorter queries turn up half the town
+    if (entry.addressText && q.text.length >= MIN_ADDRESS_QUERY) {
+      const addressScore = entry.addressText.includes(q.text)
+        ? 0.8
+        : matchTokens(q.tokens, entry.addressText.split(" ")) * 0.8;
+      if (addressScore > 0) matches.push(["ADDRESS", addressScore]);
+    }
+  }
+
+  if (!matches.length) return null;
+  const score = Math.max(...matches.map(([, s]) => s));
+  return {
+    score: Math.round(score * 100) / 100,
+    matchedOn: matches.filter(([, s]) => s === score).map(([field]) => field),
+  };
+}
+
+// cohorts: [{ name, cache }]
+export function searchPatients(cohorts, query, { limit = 20 } = {}) {
+  const raw = String(query ?? "").trim();
+  const text = normalizeText(raw);
+  const q = {
+    raw,
+    text,
+    compact: raw.replace(/[\s+()-]/g, ""),
+    digits: digitsOf(raw),
+    // "+91 98xxxxxxxx" should find "98xxxxxxxx"
+    phone: digitsOf(raw).replace(/^91(?=\d{10}$)/, ""),
+    date: parseDateQuery(raw),
+    tokens: text.split(" ").filter((t) => t && !/^\d+$/.test(t)),
+  };
+
+  const results = [];
+  cohorts.forEach(({ name, cache }) => {
+    searchEntries(cache).forEach((entry) => {
+      const match = scoreEntry(entry, q);
+      if (!match || match.score < MIN_SCORE) return;
+      const p = entry.patient;
+      results.push({
+        PATIENT_ID: p.PATIENT_ID,
+        PATIENT_NAME: `${p.FIRST_NAME || ""} ${p.LAST_NAME || ""}`.trim() || "Unknown Name",
+        DATE_OF_BIRTH: entry.dateOfBirth,
+        ADDRESS: p.ADDRESS ?? null,
+        SOURCE_SCHEMA: p.SOURCE_SCHEMA ?? null,
+        cohort: name,
+        ...match,
+      });
+    });
+  });
+
+  results.sort((a, b) => b.score - a.score || a.PATIENT_NAME.localeCompare(b.PATIENT_NAME));
+  return { total: results.length, results: results.slice(0, limit) };
+}
@@ -0,0 +1,160 @@
+// utils/patientTimeline.js
+
+import { toNumber } from "./normalize.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+// Visit vitals compared between consecutive antenatal visits
+const VITALS = ["weight", "fundalHeight", "hemoglobin", "systolic", "diastolic", "fetalHeartRate"];
+
+// Same-timestamp events read in this order
+const TYPE_ORDER = { antenatal_visit: 0, delivery: 1, baby_outcome: 2 };
+
+function toTime(value) {
+  if (!value) return null;
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+}
+
+function visitEvent(visit, cohort) {
+  return {
+    type: "antenatal_visit",
+    cohort,
+    time: toTime(visit.VISIT_DATE),
+    gestationalAgeWeeks: toNumber(visit.GESTATIONAL_AGE_WEEKS),
+    vitals: {
+      weight: visit.MATERNAL_WEIGHT_KG ?? null,
+      fundalHeight: toNumber(visit.FUNDAL_HEIGHT),
+      hemoglobin: toNumber(visit.HEMOGLOBIN_LEVEL),
+      bloodPressure: visit.BLOOD_PRESSURE ?? null,
+      systolic: visit.SYSTOLIC_BP ?? null,
+      diastolic: visit.DIASTOLIC_BP ?? null,
+      fetalHeartRate: toNumber(visit.FETAL_HEART_RATE),
+    },
+    details: { complications: visit.COMPLICATIONS ?? null },
+    record: visit,
+  };
+}
+
+function deliveryEvent(delivery, cohort) {
+  return {
+    type: "delivery",
+    cohort,
+    time: toTime(delivery.DELIVERY_DATE),
+    gestationalAgeWeeks: toNumber(delivery.GESTATIONAL_AGE_AT_DELIVERY),
+    vitals: {},
+    details: {
+      deliveryMode: delivery.DELIVERY_MODE ?? null,
+      deliveryModeCategory: delivery.DELIVERY_MODE_CATEGORY ?? null,
+      complications: delivery.DELIVERY_COMPLICATIONS ?? null,
+      motherCondition: delivery.MOTHER_CONDITION_POST_DELIVERY ?? null,
+      lengthOfStay: toNumber(delivery.LENGTH_OF_STAY),
+    },
+    record: delivery,
+  };
+}
+
+function babyEvent(baby, cohort, delivery) {
+  return {
+    type: "baby_outcome",
+    cohort,
+    time: toTime(baby.BIRTH_DATE ?? baby.DELIVERY_DATE ?? delivery?.DELIVERY_DATE),
+    gestationalAgeWeeks: toNumber(baby.GESTATIONAL_AGE_AT_BIRTH ?? delivery?.GESTATIONAL_AGE_AT_DELIVERY),
+    vitals: {
+      birthWeight: baby.BIRTH_WEIGHT_KG ?? null,
+      apgar1Min: toNumber(baby.APGAR_SCORE_1MIN),
+      apgar5Min: toNumber(baby.APGAR_SCORE_5MIN),
+    },
+    details: {
+      sex: baby.BABY_SEX ?? null,
+      nicuAdmission: baby.NICU_ADMISSION ?? null,
+      complications: baby.NEONATAL_COMPLICATIONS ?? null,
+    },
+    record: baby,
+  };
+}
+
+// Events without a date get one from the nearest dated visit of the same
+// cohort, shifted by the gestational-age difference
+function estimateMissingTimes(events) {
+  const anchors = events.filter((e) => e.type === "antenatal_visit" && e.time !== null && e.gestationalAgeWeeks !== null);
+  events.forEach((event) => {
+    if (event.time !== null || event.gestationalAgeWeeks === null) return;
+    const candidates = anchors.filter((a) => a.cohort === event.cohort);
+    if (!candidates.length) return;
+    const anchor = candidates.reduce((best, a) =>
+      Math.abs(a.gestationalAgeWeeks - event.gestationalAgeWeeks) < Math.abs(best.gestationalAgeWeeks - event.gestationalAgeWeeks) ? a : best
+    );
+    event.time = anchor.time + (event.gestationalAgeWeeks - anchor.gestationalAgeWeeks) * WEEK_MS;
+    event.dateEstimated = true;
+  });
+}
+
+function compareEvents(a, b) {
+  if (a.time !== null && b.time !== null && a.time !== b.time) return a.time - b.time;
+  if (a.time === null && b.time !== null) return 1;
+  if (b.time === null && a.time !== null) return -1;
+  const ga = (a.gestationalAgeWeeks ?? Infinity) - (b.gestationalAgeWeeks ?? Infinity);
+  if (ga) return ga;
+  return TYPE_ORDER[a.type] - TYPE_ORDER[b.type];
+}
+
+function changeBetween(previous, current) {
+  const change = {};
+  VITALS.forEach((vital) => {
+    const before = previous.vitals[vital];
+    const after = current.vitals[vital];
+    change[vital] = before === null || after === null ? null : Math.round((after - before) * 100) / 100;
+  });
+  change.daysSincePrevious =
+    previous.time === null || current.time === null ? null : Math.round((current.time - previous.time) / DAY_MS);
+  change.weeksOfGestation =
+    previous.gestationalAgeWeeks === null || current.gestationalAgeWeeks === null
+      ? null
+      : current.gestationalAgeWeeks - previous.gestationalAgeWeeks;
+  return change;
+}
+
+// sources: [{ cohort, patient, pregnancies, unassignedVisits, unlinkedBabies }]
+// (the pregnancy model from utils/pregnancyModel.js), one per cohort the
+// woman appears in. Returns the merged, ordered event stream.
+export function buildTimeline(sources) {
+  const events = [];
+  const push = (event, pregnancyKey) => events.push({ ...event, pregnancyKey });
+  sources.forEach(({ cohort, pregnancies = [], unassignedVisits = [], unlinkedBabies = [] }) => {
+    pregnancies.forEach((pregnancy) => {
+      pregnancy.visits.forEach((v) => push(visitEvent(v, cohort), pregnancy.pregnancyKey));
+      pregnancy.deliveries.forEach(({ babies, ...delivery }) => {
+        push(deliveryEvent(delivery, cohort), pregnancy.pregnancyKey);
+        // Babies are dated from the delivery they belong to
+        babies.forEach((b) => push(babyEvent(b, cohort, delivery), pregnancy.pregnancyKey));
+      });
+    });
+    unassignedVisits.forEach((v) => push(visitEvent(v, cohort), null));
+    unlinkedBabies.forEach((b) => push(babyEvent(b, cohort, null), null));
+  });
+
+  estimateMissingTimes(events);
+  events.sort(compareEvents);
+
+  let previousVisit = null;
+  return events.map((event, index) => {
+    const { time, record, ...rest } = event;
+    const result = {
+      sequence: index + 1,
+      ...rest,
+      date: time === null ? null : new Date(time).toISOString().slice(0, 10),
+      dateEstimated: Boolean(event.dateEstimated),
+    };
+    if (event.type === "antenatal_visit") {
+      result.changeSincePreviousVisit = previousVisit ? changeBetween(previousVisit, event) : null;
+      previousVisit = event;
+    } else if (event.type === "delivery") {
+      // The next visit belongs to a new pregnancy
+      previousVisit = null;
+    }
+    result.record = record;
+    return result;
+  });
+}
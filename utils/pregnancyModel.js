@@ -0,0 +1,165 @@
+// utils/pregnancyModel.js
+
+// Groups one mother's rows into pregnancy episodes:
+//   pregnancy -> deliveries -> babies, plus the antenatal visits of that pregnancy.
+// PREGNANCY_ID and DELIVERY_ID are used wherever the views provide them;
+// otherwise rows are linked by dates, which keeps twins under one delivery
+// and separates a mother's earlier and later pregnancies.
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+// A visit more than this long before a delivery belongs to an earlier pregnancy
+const MAX_PREGNANCY_MS = 44 * WEEK_MS;
+
+function toTime(value) {
+  if (!value) return null;
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+}
+
+function hasValue(value) {
+  return value !== null && value !== undefined && value !== "";
+}
+
+function sameKey(a, b) {
+  return hasValue(a) && hasValue(b) && String(a) === String(b);
+}
+
+function babyTime(baby) {
+  return toTime(baby.BIRTH_DATE ?? baby.DATE_OF_BIRTH ?? baby.DELIVERY_DATE);
+}
+
+export function buildPregnancies(patientId, visits = [], deliveries = [], babies = []) {
+  // 1. Deliveries -> pregnancies (same PREGNANCY_ID, or same delivery date)
+  const pregnancies = [];
+  deliveries.forEach((delivery, index) => {
+    const time = toTime(delivery.DELIVERY_DATE);
+    const entry = {
+      deliveryKey: hasValue(delivery.DELIVERY_ID) ? String(delivery.DELIVERY_ID) : `${patientId}-D${index + 1}`,
+      delivery,
+      babies: [],
+    };
+
+    const existing = pregnancies.find((p) =>
+      hasValue(delivery.PREGNANCY_ID)
+        ? sameKey(p.pregnancyId, delivery.PREGNANCY_ID)
+        : !hasValue(p.pregnancyId) && time !== null && p.deliveryTime === time
+    );
+    if (existing) {
+      existing.deliveries.push(entry);
+    } else {
+      pregnancies.push({
+        pregnancyId: hasValue(delivery.PREGNANCY_ID) ? delivery.PREGNANCY_ID : null,
+        deliveryTime: time,
+        gestationalAgeAtDelivery: delivery.GESTATIONAL_AGE_AT_DELIVERY ?? null,
+        deliveries: [entry],
+        visits: [],
+      });
+    }
+  });
+
+  pregnancies.sort((a, b) => {
+    if (a.deliveryTime === null) return b.deliveryTime === null ? 0 : 1;
+    if (b.deliveryTime === null) return -1;
+    return a.deliveryTime - b.deliveryTime;
+  });
+
+  const allDeliveries = pregnancies.flatMap((p) => p.deliveries);
+
+  // 2. Babies -> deliveries
+  const unlinkedBabies = [];
+  babies.forEach((baby) => {
+    let target =
+      allDeliveries.find((d) => sameKey(d.delivery.DELIVERY_ID, baby.DELIVERY_ID)) ||
+      (hasValue(baby.PREGNANCY_ID) &&
+        pregnancies.find((p) => sameKey(p.pregnancyId, baby.PREGNANCY_ID))?.deliveries[0]);
+
+    if (!target && !hasValue(baby.DELIVERY_ID)) {
+      // A baby without a key belongs to the only delivery without one
+      const unkeyed = allDeliveries.filter((d) => !hasValue(d.delivery.DELIVERY_ID));
+      const candidates = unkeyed.length ? unkeyed : allDeliveries;
+      if (candidates.length === 1) {
+        target = candidates[0];
+      } else {
+        const time = babyTime(baby);
+        const sameDay = allDeliveries.filter((d) => time !== null && toTime(d.delivery.DELIVERY_DATE) === time);
+        if (sameDay.length === 1) target = sameDay[0];
+      }
+    }
+
+    if (target) {
+      target.babies.push(baby);
+    } else {
+      unlinkedBabies.push(baby);
+    }
+  });
+
+  // 3. Visits -> pregnancies; visits after the last delivery open a new one.
+  // Each PREGNANCY_ID that no delivery has is its own open pregnancy; visits
+  // without an ID join the open pregnancy when there is just one.
+  const openPregnancies = new Map();
+  const getOpenPregnancy = (pregnancyId = null) => {
+    let key = hasValue(pregnancyId) ? String(pregnancyId) : null;
+    if (key === null && openPregnancies.size === 1) key = openPregnancies.keys().next().value;
+    if (!openPregnancies.has(key)) {
+      openPregnancies.set(key, {
+        pregnancyId: key === null ? null : pregnancyId,
+        deliveryTime: null,
+        gestationalAgeAtDelivery: null,
+        deliveries: [],
+        visits: [],
+      });
+    }
+    return openPregnancies.get(key);
+  };
+  const lastDelivery = Math.max(...pregnancies.map((p) => p.deliveryTime ?? -Infinity));
+  const unassignedVisits = [];
+
+  // Keyed visits first, so unkeyed ones can find the open pregnancy
+  const keyed = visits.filter((visit) => hasValue(visit.PREGNANCY_ID));
+  keyed.forEach((visit) => {
+    const byKey = pregnancies.find((p) => sameKey(p.pregnancyId, visit.PREGNANCY_ID));
+    (byKey || getOpenPregnancy(visit.PREGNANCY_ID)).visits.push(visit);
+  });
+
+  visits.filter((visit) => !hasValue(visit.PREGNANCY_ID)).forEach((visit) => {
+    const time = toTime(visit.VISIT_DATE);
+    let target = null;
+    if (pregnancies.length === 1 && (time === null || pregnancies[0].deliveryTime === null)) {
+      target = pregnancies[0];
+    } else if (time !== null) {
+      target = pregnancies.find(
+        (p) => p.deliveryTime !== null && p.deliveryTime >= time && p.deliveryTime - time <= MAX_PREGNANCY_MS
+      );
+    }
+    if (!target && (!pregnancies.length || (time !== null && time > lastDelivery))) {
+      target = getOpenPregnancy();
+    }
+
+    if (target) {
+      target.visits.push(visit);
+    } else {
+      unassignedVisits.push(visit);
+    }
+  });
+
+  // Open pregnancies go last, earliest first, so the current one is the last
+  const firstVisit = (p) => Math.min(...p.visits.map((v) => toTime(v.VISIT_DATE) ?? Infinity));
+  pregnancies.push(...[...openPregnancies.values()].sort((a, b) => firstVisit(a) - firstVisit(b)));
+
+  return {
+    pregnancies: pregnancies.map((p, index) => ({
+      pregnancyKey: hasValue(p.pregnancyId) ? String(p.pregnancyId) : `${patientId}-P${index + 1}`,
+      sequence: index + 1,
+      status: p.deliveries.length ? "delivered" : "ongoing",
+      deliveryDate: p.deliveryTime === null ? null : new Date(p.deliveryTime).toISOString().slice(0, 10),
+      gestationalAgeAtDelivery: p.gestationalAgeAtDelivery,
+      visits: [...p.visits].sort(
+        (a, b) => (toTime(a.VISIT_DATE) ?? 0) - (toTime(b.VISIT_DATE) ?? 0) ||
+          (a.GESTATIONAL_AGE_WEEKS ?? 0) - (b.GESTATIONAL_AGE_WEEKS ?? 0)
+      ),
+      deliveries: p.deliveries.map((d) => ({ deliveryKey: d.deliveryKey, ...d.delivery, babies: d.babies })),
+    })),
+    unlinkedBabies,
+    unassignedVisits,
+  };
+}
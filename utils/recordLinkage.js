@@ -0,0 +1,165 @@
+// utils/recordLinkage.js
+
+import { normalizeText, phonetic, editDistance } from "./patientSearch.js";
+import { toIsoDate } from "./normalize.js";
+
+// Scores pairs of patient records in one cache that may be the same woman
+// (typically the same patient arriving under several SOURCE_SCHEMA values).
+// Only pairs that share a blocking key (date of birth, phonetic surname, or
+// phonetic first name + birth year) are compared. Confirmed pairs are stored
+// by PatientLinkStore; this module only proposes them.
+
+const WEIGHTS = { name: 0.45, dateOfBirth: 0.35, address: 0.1, bloodType: 0.1 };
+const DEFAULT_MIN_SCORE = 0.7;
+
+const candidatesByIndexes = new WeakMap();
+
+function nameTokens(patient) {
+  return normalizeText(`${patient.FIRST_NAME || ""} ${patient.LAST_NAME || ""}`).split(" ").filter(Boolean);
+}
+
+function tokenSimilarity(a, b) {
+  if (a === b) return 1;
+  const pa = phonetic(a);
+  const pb = phonetic(b);
+  if (pa === pb) return 0.9;
+  // "S" or "S." for "Subramanian"
+  if ((a.length === 1 && b.startsWith(a)) || (b.length === 1 && a.startsWith(b))) return 0.7;
+  const distance = Math.min(editDistance(a, b), editDistance(pa, pb));
+  return Math.max(0, 1 - distance / Math.max(a.length, b.length, 1));
+}
+
+// Tokens are matched in either order, so swapped first/last names still score
+export function nameSimilarity(a, b) {
+  const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+  if (!shorter.length) return null;
+  const total = shorter.reduce((sum, token) => sum + Math.max(...longer.map((t) => tokenSimilarity(token, t))), 0);
+  // Extra tokens in the longer name (a middle name) cost a little
+  return (total / shorter.length) * (1 - 0.05 * (longer.length - shorter.length));
+}
+
+// 1 for the same date; partial credit for the usual entry mistakes
+export function dateOfBirthSimilarity(a, b) {
+  if (!a || !b) return null;
+  if (a === b) return 1;
+  const [y1, m1, d1] = a.split("-");
+  const [y2, m2, d2] = b.split("-");
+  if (y1 === y2 && m1 === d2 && d1 === m2) return 0.8; // day and month swapped
+  const same = [y1 === y2, m1 === m2, d1 === d2].filter(Boolean).length;
+  if (same === 2) {
+    // One part differs: a single-digit typo is likelier than a different woman
+    const differs = y1 !== y2 ? [y1, y2] : m1 !== m2 ? [m1, m2] : [d1, d2];
+    return editDistance(differs[0], differs[1]) === 1 ? 0.6 : 0.3;
+  }
+  return 0;
+}
+
+function addressSimilarity(a, b) {
+  if (!a || !b) return null;
+  if (a === b) return 1;
+  const ta = new Set(a.split(" "));
+  const tb = new Set(b.split(" "));
+  const shared = [...ta].filter((t) => tb.has(t)).length;
+  return shared / new Set([...ta, ...tb]).size;
+}
+
+function bloodTypeOf(patient) {
+  const value = String(patient.BLOOD_TYPE ?? "").toUpperCase().replace(/\s+/g, "").replace("POSITIVE", "+").replace("NEGATIVE", "-");
+  return value || null;
+}
+
+function profile(patient) {
+  const tokens = nameTokens(patient);
+  const dateOfBirth = toIsoDate(patient.DATE_OF_BIRTH);
+  return {
+    patient,
+    id: Number(patient.PATIENT_ID),
+    tokens,
+    dateOfBirth,
+    address: normalizeText(patient.ADDRESS) || null,
+    bloodType: bloodTypeOf(patient),
+    blocks: [
+      dateOfBirth && `dob:${dateOfBirth}`,
+      tokens.length > 1 && `ln:${phonetic(tokens[tokens.length - 1])}`,
+      tokens.length && dateOfBirth && `fn:${phonetic(tokens[0])}|${dateOfBirth.slice(0, 4)}`,
+    ].filter(Boolean),
+  };
+}
+
+// { score, components } with every component in 0..1 (null when a value is
+// missing on either side; missing components don't count)
+export function scorePatientPair(a, b) {
+  const pa = a.tokens ? a : profile(a);
+  const pb = b.tokens ? b : profile(b);
+  const components = {
+    name: nameSimilarity(pa.tokens, pb.tokens),
+    dateOfBirth: dateOfBirthSimilarity(pa.dateOfBirth, pb.dateOfBirth),
+    address: addressSimilarity(pa.address, pb.address),
+    bloodType: pa.bloodType && pb.bloodType ? Number(pa.bloodType === pb.bloodType) : null,
+  };
+
+  let weighted = 0;
+  let weights = 0;
+  Object.entries(components).forEach(([key, value]) => {
+    if (value === null) return;
+    weighted += WEIGHTS[key] * value;
+    weights += WEIGHTS[key];
+  });
+  let score = weights ? weighted / weights : 0;
+  // A different blood type is strong evidence of a different woman
+  if (components.bloodType === 0) score *= 0.5;
+
+  const round = (v) => (v === null ? null : Math.round(v * 100) / 100);
+  return {
+    score: round(score),
+    components: Object.fromEntries(Object.entries(components).map(([k, v]) => [k, round(v)])),
+  };
+}
+
+function summary(p) {
+  return {
+    PATIENT_ID: p.patient.PATIENT_ID,
+    PATIENT_NAME: `${p.patient.FIRST_NAME || ""} ${p.patient.LAST_NAME || ""}`.trim() || "Unknown Name",
+    DATE_OF_BIRTH: p.dateOfBirth,
+    ADDRESS: p.patient.ADDRESS ?? null,
+    BLOOD_TYPE: p.patient.BLOOD_TYPE ?? null,
+    SOURCE_SCHEMA: p.patient.SOURCE_SCHEMA ?? null,
+  };
+}
+
+function allCandidates(cache) {
+  let pairs = candidatesByIndexes.get(cache.indexes);
+  if (pairs) return pairs;
+
+  const profiles = (cache.patients || []).map(profile).filter((p) => !Number.isNaN(p.id));
+  const blocks = new Map();
+  profiles.forEach((p) => {
+    p.blocks.forEach((key) => {
+      if (!blocks.has(key)) blocks.set(key, []);
+      blocks.get(key).push(p);
+    });
+  });
+
+  const compared = new Set();
+  pairs = [];
+  blocks.forEach((members) => {
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j < members.length; j++) {
+        const [a, b] = members[i].id < members[j].id ? [members[i], members[j]] : [members[j], members[i]];
+        const key = `${a.id}|${b.id}`;
+        if (a.id === b.id || compared.has(key)) continue;
+        compared.add(key);
+        pairs.push({ ...scorePatientPair(a, b), a: summary(a), b: summary(b) });
+      }
+    }
+  });
+
+  pairs.sort((x, y) => y.score - x.score || x.a.PATIENT_ID - y.a.PATIENT_ID);
+  candidatesByIndexes.set(cache.indexes, pairs);
+  return pairs;
+}
+
+// Candidate pairs scoring at least minScore, best first
+export function findDuplicateCandidates(cache, { minScore = DEFAULT_MIN_SCORE } = {}) {
+  return allCandidates(cache).filter((pair) => pair.score >= minScore);
+}
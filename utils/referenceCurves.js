@@ -0,0 +1,183 @@
+// utils/referenceCurves.js
+
+import { AnalyticsQueryError, parseAnalyticsFilters, describeFilters, filterCohorts, queryNumber } from "./analytics.js";
+import { VISIT_RANGES } from "./clinicalValidation.js";
+import { normalizeDeliveryMode, toNumber } from "./normalize.js";
+import { mean, quantile, round } from "./statistics.js";
+
+// Percentile reference curves per gestational week, from the visits of
+// delivered (hospital) patients. A stratum is the analytics patient filters
+// (ageBand, parity, bmiStatus, address, ...) plus the delivery type
+// (SOURCE_SCHEMA) and mode the patient delivered with.
+//
+// Missing and implausible values (outside the clinical validation ranges)
+// are left out rather than counted as 0. Weeks with fewer than minSamples
+// values borrow from neighbouring weeks, up to MAX_POOL_WEEKS each side; the
+// week is then marked `smoothed` with the weeks it pooled. Weeks with no
+// values at all are omitted.
+
+export const PERCENTILES = [10, 25, 50, 75, 90];
+
+export const MEASURES = {
+  maternal_weight: { column: "MATERNAL_WEIGHT_KG", range: VISIT_RANGES.weight, digits: 1 },
+  fundal_height: { column: "FUNDAL_HEIGHT", range: VISIT_RANGES.fundalHeight, digits: 1 },
+  hb: { column: "HEMOGLOBIN_LEVEL", range: VISIT_RANGES.hemoglobin, digits: 1 },
+  systolic: { column: "SYSTOLIC_BP", range: VISIT_RANGES.systolic, digits: 0 },
+  diastolic: { column: "DIASTOLIC_BP", range: VISIT_RANGES.diastolic, digits: 0 },
+  fetal_hr: { column: "FETAL_HEART_RATE", range: VISIT_RANGES.fetalHeartRate, digits: 0 },
+};
+
+const DEFAULT_MIN_SAMPLES = 10;
+const MAX_POOL_WEEKS = 2;
+// Distinct strata kept per cache load
+const MAX_STRATA = 200;
+
+const curvesByIndexes = new WeakMap();
+
+// Stratum from query parameters or a request body
+export function parseStratum(params = {}) {
+  const filters = parseAnalyticsFilters({ ...params, cohort: "historical" });
+
+  const minSamples = queryNumber(params, "minSamples", { fallback: DEFAULT_MIN_SAMPLES, min: 1, max: 1000 });
+
+  let deliveryMode = null;
+  if (params.deliveryMode) {
+    deliveryMode = normalizeDeliveryMode(params.deliveryMode);
+    if (!deliveryMode) throw new AnalyticsQueryError(`Unknown deliveryMode "${params.deliveryMode}"`);
+  }
+
+  return {
+    filters,
+    deliveryType: params.deliveryType ? String(params.deliveryType).toUpperCase() : null,
+    deliveryMode,
+    minSamples,
+  };
+}
+
+export function describeStratum(stratum) {
+  return {
+    ...describeFilters(stratum.filters),
+    deliveryType: stratum.deliveryType,
+    deliveryMode: stratum.deliveryMode,
+    minSamples: stratum.minSamples,
+  };
+}
+
+// Deliveries are matched by key, as the pregnancy model holds copies of them
+const deliveryRef = (d) => `${Number(d.PATIENT_ID)}|${d.DELIVERY_ID ?? ""}|${d.DELIVERY_DATE ?? ""}`;
+
+// With a delivery type or mode, only the visits of the pregnancies that ended
+// in a matching delivery count: a mother with a C-section and a later vaginal
+// birth adds each pregnancy's visits to its own stratum.
+function stratumVisits(cache, stratum, excluded) {
+  const selection = filterCohorts({ historical: cache }, stratum.filters).historical;
+  const kept = (row) => !excluded.has(Number(row.PATIENT_ID));
+  const patients = selection.patients.filter(kept);
+  const visits = selection.visits.filter(kept);
+  if (!stratum.deliveryType && !stratum.deliveryMode) return { patients: patients.length, visits };
+
+  const matching = new Set(
+    selection.deliveries
+      .filter((d) =>
+        kept(d) &&
+        (!stratum.deliveryType || String(d.SOURCE_SCHEMA ?? "").toUpperCase() === stratum.deliveryType) &&
+        (!stratum.deliveryMode || d.DELIVERY_MODE_CATEGORY === stratum.deliveryMode)
+      )
+      .map(deliveryRef)
+  );
+  const mothers = new Set();
+  const pregnancyVisits = new Set();
+  patients.forEach((patient) => {
+    const id = Number(patient.PATIENT_ID);
+    (cache.indexes.pregnanciesByPatient.get(id)?.pregnancies || [])
+      .filter((p) => p.deliveries.some((d) => matching.has(deliveryRef(d))))
+      .forEach((p) => {
+        mothers.add(id);
+        p.visits.forEach((v) => pregnancyVisits.add(v));
+      });
+  });
+  return {
+    patients: mothers.size,
+    visits: visits.filter((v) => pregnancyVisits.has(v)),
+  };
+}
+
+function weekOf(visit) {
+  const ga = toNumber(visit.GESTATIONAL_AGE_WEEKS);
+  const [, min, max] = VISIT_RANGES.gestationalAgeWeeks;
+  return ga !== null && ga >= min && ga <= max ? Math.floor(ga) : null;
+}
+
+function curve(visits, measure, minSamples) {
+  const [, min, max] = measure.range;
+  const byWeek = new Map();
+  visits.forEach((visit) => {
+    const week = weekOf(visit);
+    const value = toNumber(visit[measure.column]);
+    if (week === null || value === null || value < min || value > max) return;
+    if (!byWeek.has(week)) byWeek.set(week, []);
+    byWeek.get(week).push(value);
+  });
+
+  return [...byWeek.keys()]
+    .sort((a, b) => a - b)
+    .map((week) => {
+      let values = byWeek.get(week);
+      let pooled = [week, week];
+      for (let spread = 1; values.length < minSamples && spread <= MAX_POOL_WEEKS; spread++) {
+        pooled = [week - spread, week + spread];
+        values = [];
+        for (let w = week - spread; w <= week + spread; w++) values.push(...(byWeek.get(w) || []));
+      }
+      const sorted = [...values].sort((a, b) => a - b);
+      const smoothed = pooled[0] !== week;
+      return {
+        week,
+        n: byWeek.get(week).length,
+        ...(smoothed ? { pooledN: sorted.length, pooledWeeks: pooled } : {}),
+        smoothed,
+        sparse: sorted.length < minSamples,
+        mean: round(mean(sorted), measure.digits),
+        ...Object.fromEntries(PERCENTILES.map((p) => [`p${p}`, round(quantile(sorted, p / 100), measure.digits)])),
+      };
+    });
+}
+
+function buildCurves(cache, stratum, excluded = new Set()) {
+  const { patients, visits } = stratumVisits(cache, stratum, excluded);
+  return {
+    patients,
+    visits: visits.length,
+    curves: Object.fromEntries(
+      Object.entries(MEASURES).map(([name, measure]) => [name, curve(visits, measure, stratum.minSamples)])
+    ),
+  };
+}
+
+// { patients, visits, curves: { measure: [{ week, n, p10..p90, mean, smoothed, sparse }] } }
+// excludePatientIds leaves those patients out, e.g. the patient being scored
+// against the curves; such curves are built for the request, not memoized.
+export function referenceCurves(cache, stratum, { excludePatientIds = [] } = {}) {
+  const excluded = new Set(excludePatientIds.map(Number).filter((id) => cache.indexes.patientsById.has(id)));
+  if (excluded.size) return buildCurves(cache, stratum, excluded);
+
+  let strata = curvesByIndexes.get(cache.indexes);
+  if (!strata) {
+    strata = new Map();
+    curvesByIndexes.set(cache.indexes, strata);
+  }
+
+  const key = JSON.stringify(describeStratum(stratum));
+  let result = strata.get(key);
+  if (!result) {
+    if (strata.size >= MAX_STRATA) strata.clear();
+    result = buildCurves(cache, stratum);
+    strata.set(key, result);
+  }
+  return result;
+}
+
+// One row per measure and week, for the CSV / Excel export
+export function curveTable(curves) {
+  return Object.entries(curves).flatMap(([measure, weeks]) => weeks.map((week) => ({ measure, ...week })));
+}
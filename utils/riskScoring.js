@@ -0,0 +1,76 @@
+// utils/riskScoring.js
+
+import { parseBloodPressure, toNumber } from "./normalize.js";
+
+// The rule-based pregnancy risk score (0-1) behind /api/ai/ongoing-progression,
+// the risk worklist and the patient list's RISK_SCORE. Points come from the
+// latest visit (Hb, blood pressure, fundal height against gestational age)
+// and the mother (age, BMI), kept per factor so lists can show what drives it.
+
+const DEFAULT_AGE = 25;
+const DEFAULT_BMI = 23;
+
+export const RISK_FACTOR_LABELS = {
+  anemia: "anemia",
+  hypertension: "hypertension",
+  growthRestriction: "fetal growth restriction",
+  maternalAgeRisk: "maternal age",
+  bmiRisk: "BMI-related",
+};
+
+// Same thresholds the ongoing-progression summary uses for its wording
+export function riskLevel(score) {
+  if (score < 0.3) return "low";
+  if (score < 0.6) return "moderate";
+  return "high";
+}
+
+// Points per factor for one visit
+export function riskFactors(visit, patient = {}) {
+  const hb = toNumber(visit.HEMOGLOBIN_LEVEL);
+  const fundalHeight = toNumber(visit.FUNDAL_HEIGHT);
+  const weeks = toNumber(visit.GESTATIONAL_AGE_WEEKS);
+  const age = toNumber(patient.AGE) || DEFAULT_AGE;
+  const bmi = toNumber(patient.BMI_VALUE) || DEFAULT_BMI;
+  const { systolic, diastolic } = parseBloodPressure(visit.BLOOD_PRESSURE);
+
+  return {
+    anemia: hb === null ? 0 : (hb < 11 ? 0.3 : 0) + (hb < 10 ? 0.2 : 0),
+    hypertension: systolic >= 140 || diastolic >= 90 ? 0.4 : 0,
+    growthRestriction: fundalHeight && weeks !== null && Math.abs(fundalHeight - weeks) > 3 ? 0.2 : 0,
+    maternalAgeRisk: age < 18 || age > 35 ? 0.2 : 0,
+    bmiRisk: bmi < 18.5 || bmi > 30 ? 0.2 : 0,
+  };
+}
+
+export function riskScore(visit, patient) {
+  const total = Object.values(riskFactors(visit, patient)).reduce((sum, points) => sum + points, 0);
+  return Math.min(1, Math.round(total * 100) / 100);
+}
+
+// Visits with a gestational age, earliest first
+export function datedVisits(visits) {
+  return (visits || [])
+    .filter((v) => v && toNumber(v.GESTATIONAL_AGE_WEEKS))
+    .sort((a, b) => toNumber(a.GESTATIONAL_AGE_WEEKS) - toNumber(b.GESTATIONAL_AGE_WEEKS));
+}
+
+// Score, level and factors for a patient's latest visit, plus the leading
+// factor (null when nothing scores). Returns null when there is no visit
+// with a gestational age to score.
+export function assessRisk(patient, visits) {
+  const latest = datedVisits(visits).at(-1);
+  if (!latest) return null;
+
+  const factors = riskFactors(latest, patient);
+  const score = riskScore(latest, patient);
+  const [leadingFactor, points] = Object.entries(factors).reduce((a, b) => (b[1] > a[1] ? b : a));
+
+  return {
+    score,
+    level: riskLevel(score),
+    leadingFactor: points > 0 ? leadingFactor : null,
+    leadingFactorLabel: points > 0 ? RISK_FACTOR_LABELS[leadingFactor] : null,
+    factors,
+  };
+}
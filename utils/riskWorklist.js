@@ -0,0 +1,159 @@
+// utils/riskWorklist.js
+
+import { AnalyticsQueryError, parseAnalyticsFilters, describeFilters, filterCohorts, queryNumber } from "./analytics.js";
+import { pregnancyStart, gestationalAgeOn, estimatedDueDate, daysBetween } from "./ancSchedule.js";
+import { patientSummary } from "./patientList.js";
+import { assessRisk } from "./riskScoring.js";
+import { toNumber, todayIso } from "./normalize.js";
+
+// Ranked risk worklist for the ongoing cohort: every patient scored like
+// /api/ai/ongoing-progression (assessRisk), highest score first, then
+// closest to term. Scores only change with the data, so they are computed
+// once per cache load (and patient-link version); gestational age and weeks
+// to term are worked out against today on each request.
+
+// ?factor= values -> riskFactors() keys
+export const RISK_FACTORS = {
+  anemia: "anemia",
+  anaemia: "anemia",
+  hypertension: "hypertension",
+  growth: "growthRestriction",
+  growthrestriction: "growthRestriction",
+  age: "maternalAgeRisk",
+  bmi: "bmiRisk",
+};
+
+export const RISK_LEVELS = ["high", "moderate", "low"];
+
+const TERM_WEEKS = 37;
+
+const scoresByIndexes = new WeakMap();
+
+const parseList = (value) =>
+  value === undefined || value === "" ? [] : String(value).split(",").map((v) => v.trim().toLowerCase()).filter(Boolean);
+
+export function parseWorklistOptions(query = {}) {
+  const riskLevels = parseList(query.riskLevel);
+  const badLevel = riskLevels.find((level) => !RISK_LEVELS.includes(level));
+  if (badLevel) throw new AnalyticsQueryError(`Unknown riskLevel "${badLevel}". Valid levels: ${RISK_LEVELS.join(", ")}`);
+
+  const factors = parseList(query.factor).map((name) => {
+    const factor = RISK_FACTORS[name.replace(/[\s_-]/g, "")];
+    if (!factor) throw new AnalyticsQueryError(`Unknown factor "${name}". Valid factors: ${Object.keys(RISK_FACTORS).join(", ")}`);
+    return factor;
+  });
+
+  return {
+    filters: parseAnalyticsFilters({ ...query, cohort: "ongoing" }),
+    riskLevels,
+    factors: [...new Set(factors)],
+    minScore: queryNumber(query, "minScore", { min: 0, max: 1, integer: false }),
+    maxWeeksToTerm: queryNumber(query, "maxWeeksToTerm", { min: 0, max: TERM_WEEKS, integer: false }),
+  };
+}
+
+export function describeWorklistOptions(options) {
+  return {
+    ...describeFilters(options.filters),
+    riskLevel: options.riskLevels,
+    factor: options.factors,
+    minScore: options.minScore,
+    maxWeeksToTerm: options.maxWeeksToTerm,
+  };
+}
+
+function scorePatients(cache, personOf) {
+  const scored = [];
+  let unscored = 0;
+  (cache.patients || []).forEach((patient) => {
+    const person = personOf(patient);
+    if (!person) return;
+    const risk = assessRisk(patient, person.visits);
+    if (!risk) {
+      unscored++;
+      return;
+    }
+    const gestationalAges = person.visits.map((v) => toNumber(v.GESTATIONAL_AGE_WEEKS)).filter((ga) => ga !== null);
+    scored.push({
+      patient: patientSummary(patient),
+      linkedIds: person.ids && person.ids.length > 1 ? person.ids : undefined,
+      risk,
+      start: pregnancyStart(person.visits),
+      lastVisitDate: person.visits.map((v) => v.VISIT_DATE).filter(Boolean).sort().pop() || null,
+      lastGestationalAgeWeeks: gestationalAges.length ? Math.max(...gestationalAges) : null,
+      visitCount: person.visits.length,
+    });
+  });
+  return { scored, unscored, scoredAt: new Date().toISOString() };
+}
+
+// Scores for every ongoing patient, rebuilt when the cache reloads (a new
+// indexes object) or patient links change.
+//   personOf(patient) -> { ids?, visits } or null to skip (e.g. a linked
+//                        secondary record); defaults to the patient's own visits
+export function ongoingRiskScores(cache, { personOf, version = null } = {}) {
+  const memo = scoresByIndexes.get(cache.indexes);
+  if (memo && memo.version === version) return memo;
+
+  const visitsOf = (p) => ({ visits: cache.indexes.visitsByPatient.get(Number(p.PATIENT_ID)) || [] });
+  const result = { version, ...scorePatients(cache, personOf || visitsOf) };
+  scoresByIndexes.set(cache.indexes, result);
+  return result;
+}
+
+function toEntry(row, today) {
+  const { risk } = row;
+  const weeks = row.start ? gestationalAgeOn(row.start, today) : row.lastGestationalAgeWeeks;
+  const round1 = (n) => Math.round(n * 10) / 10;
+  return {
+    patient: row.patient,
+    ...(row.linkedIds ? { linkedIds: row.linkedIds } : {}),
+    riskScore: risk.score,
+    riskLevel: risk.level,
+    leadingFactor: risk.leadingFactor,
+    leadingFactorLabel: risk.leadingFactorLabel,
+    // Every factor adding points to the score
+    elevatedFactors: Object.keys(risk.factors).filter((f) => risk.factors[f] > 0),
+    factors: risk.factors,
+    gestationalAgeWeeks: weeks === null ? null : round1(weeks),
+    weeksToTerm: weeks === null ? null : round1(Math.max(0, TERM_WEEKS - weeks)),
+    estimatedDueDate: row.start ? estimatedDueDate(row.start) : null,
+    lastVisitDate: row.lastVisitDate,
+    daysSinceLastVisit: row.lastVisitDate ? daysBetween(row.lastVisitDate, today) : null,
+    visitCount: row.visitCount,
+  };
+}
+
+// Highest score first; ties go to whoever is closest to term, then to the
+// patient with more elevated factors
+function compareEntries(a, b) {
+  return (
+    b.riskScore - a.riskScore ||
+    (a.weeksToTerm ?? Infinity) - (b.weeksToTerm ?? Infinity) ||
+    b.elevatedFactors.length - a.elevatedFactors.length ||
+    a.patient.PATIENT_ID - b.patient.PATIENT_ID
+  );
+}
+
+// { scoredAt, unscored, levels: { high, moderate, low }, entries } where
+// `levels` counts the patients matching the patient filters, before the
+// risk filters narrow them down
+export function riskWorklist(cache, options, { personOf, version, today = todayIso() } = {}) {
+  const { scored, unscored, scoredAt } = ongoingRiskScores(cache, { personOf, version });
+
+  const selected = new Set(filterCohorts({ ongoing: cache }, options.filters).ongoing.patients.map((p) => Number(p.PATIENT_ID)));
+  const matching = scored.filter((row) => selected.has(Number(row.patient.PATIENT_ID))).map((row) => toEntry(row, today));
+
+  const levels = Object.fromEntries(RISK_LEVELS.map((level) => [level, matching.filter((e) => e.riskLevel === level).length]));
+  const entries = matching
+    .filter((e) =>
+      (!options.riskLevels.length || options.riskLevels.includes(e.riskLevel)) &&
+      (!options.factors.length || options.factors.includes(e.leadingFactor)) &&
+      (options.minScore === null || e.riskScore >= options.minScore) &&
+      (options.maxWeeksToTerm === null || (e.weeksToTerm !== null && e.weeksToTerm <= options.maxWeeksToTerm))
+    )
+    .sort(compareEntries)
+    .map((entry, i) => ({ rank: i + 1, ...entry }));
+
+  return { scoredAt, unscored, levels, entries };
+}
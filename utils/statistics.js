@@ -0,0 +1,275 @@
+// utils/statistics.js
+
+// Small statistics toolkit for the analytics endpoints: descriptive
+// summaries, the normal / Student t / chi-square distributions, and the
+// two-group tests used to compare cohorts. Special functions follow the
+// usual Numerical Recipes formulations.
+
+export function mean(values) {
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+// Sample standard deviation (n - 1)
+export function standardDeviation(values) {
+  if (values.length < 2) return null;
+  const m = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - m) ** 2, 0) / (values.length - 1));
+}
+
+// Linear interpolation between order statistics; `sorted` must be ascending
+export function quantile(sorted, p) {
+  if (!sorted.length) return null;
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+export function round(value, digits = 2) {
+  if (value === null || value === undefined || !Number.isFinite(value)) return null;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+export function describeNumbers(values, digits = 2) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return {
+    n: sorted.length,
+    mean: round(mean(sorted), digits),
+    sd: round(standardDeviation(sorted), digits),
+    min: round(sorted[0] ?? null, digits),
+    p10: round(quantile(sorted, 0.1), digits),
+    median: round(quantile(sorted, 0.5), digits),
+    p90: round(quantile(sorted, 0.9), digits),
+    max: round(sorted[sorted.length - 1] ?? null, digits),
+  };
+}
+
+// { count, n, rate } with the rate in percent
+export function rate(count, n) {
+  return { count, n, rate: n ? round((count / n) * 100, 1) : null };
+}
+
+// Counts and percentages per category; values outside `categories` count
+// as unknown and are left out of the percentages
+export function distribution(values, categories) {
+  const counts = Object.fromEntries(categories.map((c) => [c, 0]));
+  let unknown = 0;
+  values.forEach((value) => {
+    if (value in counts) counts[value]++;
+    else unknown++;
+  });
+  const known = values.length - unknown;
+  return {
+    counts,
+    unknown,
+    percentages: Object.fromEntries(categories.map((c) => [c, known ? round((counts[c] / known) * 100, 1) : null])),
+  };
+}
+
+// ---- Distributions ----
+
+function logGamma(x) {
+  const c = [76.18009172947146, -86.50532032941677, 24.01409824083091, -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let ser = 1.000000000190015;
+  c.forEach((coefficient) => {
+    y += 1;
+    ser += coefficient / y;
+  });
+  return -tmp + Math.log((2.5066282746310005 * ser) / x);
+}
+
+// Regularized lower incomplete gamma P(a, x)
+function gammaP(a, x) {
+  if (x <= 0) return 0;
+  const gln = logGamma(a);
+  if (x < a + 1) {
+    let sum = 1 / a;
+    let term = sum;
+    for (let n = 1; n < 200; n++) {
+      term *= x / (a + n);
+      sum += term;
+      if (Math.abs(term) < Math.abs(sum) * 1e-12) break;
+    }
+    return sum * Math.exp(-x + a * Math.log(x) - gln);
+  }
+  // Continued fraction for Q(a, x)
+  let b = x + 1 - a;
+  let c = 1 / 1e-300;
+  let d = 1 / b;
+  let h = d;
+  for (let i = 1; i < 200; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < 1e-300) d = 1e-300;
+    c = b + an / c;
+    if (Math.abs(c) < 1e-300) c = 1e-300;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-12) break;
+  }
+  return 1 - Math.exp(-x + a * Math.log(x) - gln) * h;
+}
+
+function betaContinuedFraction(a, b, x) {
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < 1e-300) d = 1e-300;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m < 200; m++) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < 1e-300) d = 1e-300;
+    c = 1 + aa / c;
+    if (Math.abs(c) < 1e-300) c = 1e-300;
+    d = 1 / d;
+    h *= d * c;
+    aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < 1e-300) d = 1e-300;
+    c = 1 + aa / c;
+    if (Math.abs(c) < 1e-300) c = 1e-300;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-12) break;
+  }
+  return h;
+}
+
+// Regularized incomplete beta I_x(a, b)
+function incompleteBeta(a, b, x) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaContinuedFraction(a, b, x)) / a
+    : 1 - (front * betaContinuedFraction(b, a, 1 - x)) / b;
+}
+
+export function normalCdf(z) {
+  // Abramowitz & Stegun 7.1.26 on erf
+  const t = 1 / (1 + 0.3275911 * (Math.abs(z) / Math.SQRT2));
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Inverse of normalCdf (Acklam's rational approximation)
+export function normalQuantile(p) {
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - low) return -normalQuantile(1 - p);
+  const q = p - 0.5;
+  const r = q * q;
+  return ((((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q) /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+export function studentTCdf(t, df) {
+  const tail = incompleteBeta(df / 2, 0.5, df / (df + t * t)) / 2;
+  return t >= 0 ? 1 - tail : tail;
+}
+
+export function studentTQuantile(p, df) {
+  // Bisection is plenty for the handful of calls per request
+  let lo = -1000;
+  let hi = 1000;
+  for (let i = 0; i < 100; i++) {
+    const mid = (lo + hi) / 2;
+    if (studentTCdf(mid, df) < p) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+// Upper tail P(X >= x) for a chi-square variable
+export function chiSquareSurvival(x, df) {
+  return x <= 0 ? 1 : 1 - gammaP(df / 2, x / 2);
+}
+
+// ---- Two-group comparisons (difference is b - a) ----
+
+// Wald interval for the difference, pooled two-proportion z-test
+export function compareProportions(a, b, { confidence = 0.95 } = {}) {
+  if (!a.n || !b.n) return null;
+  const pa = a.count / a.n;
+  const pb = b.count / b.n;
+  const difference = pb - pa;
+  const z = normalQuantile(1 - (1 - confidence) / 2);
+  const se = Math.sqrt((pa * (1 - pa)) / a.n + (pb * (1 - pb)) / b.n);
+
+  const pooled = (a.count + b.count) / (a.n + b.n);
+  const pooledSe = Math.sqrt(pooled * (1 - pooled) * (1 / a.n + 1 / b.n));
+  const statistic = pooledSe > 0 ? difference / pooledSe : 0;
+
+  return {
+    difference,
+    confidenceInterval: [difference - z * se, difference + z * se],
+    test: "two-proportion z-test",
+    statistic,
+    pValue: pooledSe > 0 ? 2 * (1 - normalCdf(Math.abs(statistic))) : 1,
+    // The normal approximation is unreliable with fewer than 5 expected events
+    smallSample: [a.n, b.n].some((n) => n * pooled < 5 || n * (1 - pooled) < 5),
+  };
+}
+
+// Welch's t-test and interval for the difference in means
+export function compareMeans(valuesA, valuesB, { confidence = 0.95 } = {}) {
+  if (valuesA.length < 2 || valuesB.length < 2) return null;
+  const va = standardDeviation(valuesA) ** 2 / valuesA.length;
+  const vb = standardDeviation(valuesB) ** 2 / valuesB.length;
+  const difference = mean(valuesB) - mean(valuesA);
+  const se = Math.sqrt(va + vb);
+  if (se === 0) {
+    return { difference, confidenceInterval: [difference, difference], test: "Welch t-test", statistic: null, df: null, pValue: difference === 0 ? 1 : 0 };
+  }
+  const df = (va + vb) ** 2 / (va ** 2 / (valuesA.length - 1) + vb ** 2 / (valuesB.length - 1));
+  const t = studentTQuantile(1 - (1 - confidence) / 2, df);
+  const statistic = difference / se;
+  return {
+    difference,
+    confidenceInterval: [difference - t * se, difference + t * se],
+    test: "Welch t-test",
+    statistic,
+    df,
+    pValue: 2 * (1 - studentTCdf(Math.abs(statistic), df)),
+  };
+}
+
+// Chi-square test of independence on a 2 x k table of category counts
+export function compareDistributions(countsA, countsB) {
+  const categories = Object.keys({ ...countsA, ...countsB }).filter((k) => (countsA[k] || 0) + (countsB[k] || 0) > 0);
+  const totalA = categories.reduce((sum, k) => sum + (countsA[k] || 0), 0);
+  const totalB = categories.reduce((sum, k) => sum + (countsB[k] || 0), 0);
+  if (categories.length < 2 || !totalA || !totalB) return null;
+
+  const total = totalA + totalB;
+  let statistic = 0;
+  let smallSample = false;
+  categories.forEach((k) => {
+    const column = (countsA[k] || 0) + (countsB[k] || 0);
+    [[countsA[k] || 0, totalA], [countsB[k] || 0, totalB]].forEach(([observed, rowTotal]) => {
+      const expected = (rowTotal * column) / total;
+      if (expected < 5) smallSample = true;
+      statistic += (observed - expected) ** 2 / expected;
+    });
+  });
+  const df = categories.length - 1;
+  return { test: "chi-square test of independence", statistic, df, pValue: chiSquareSurvival(statistic, df), smallSample };
+}
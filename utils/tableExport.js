@@ -0,0 +1,170 @@
+// utils/tableExport.js
+
+import XlsxWriter, { writeChunk } from "./XlsxWriter.js";
+import { todayIso } from "./normalize.js";
+
+// CSV and Excel downloads of the JSON responses. The format comes from
+// ?format=csv|xlsx or, failing that, the Accept header. The rows are the
+// response's main list (the longest list of objects, or ?table=<property>;
+// a response without one is a single row), flattened to dotted columns such
+// as patient.PATIENT_ID or factors.anemia. ?columns=path[:Header],... picks,
+// orders and renames the columns.
+//
+// Columns are worked out from the first SAMPLE_ROWS rows; after that rows
+// are flattened and written one chunk at a time as the client reads them.
+
+export class ExportError extends Error { }
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  xlsx: { contentType: XlsxWriter.contentType, extension: "xlsx" },
+};
+
+const FORMAT_ALIASES = { csv: "csv", xlsx: "xlsx", excel: "xlsx" };
+// ?format= values answered as JSON by the routes themselves
+const JSON_FORMATS = ["json", "geojson"];
+const SAMPLE_ROWS = 200;
+const CHUNK_CHARS = 64 * 1024;
+
+// "csv", "xlsx" or null for a JSON response
+export function exportFormat(req) {
+  if (req.query.format !== undefined) {
+    const format = String(req.query.format).toLowerCase();
+    if (JSON_FORMATS.includes(format)) return null;
+    if (!FORMAT_ALIASES[format]) {
+      throw new ExportError(`format must be one of ${[...JSON_FORMATS, ...Object.keys(FORMAT_ALIASES)].join(", ")}`);
+    }
+    return FORMAT_ALIASES[format];
+  }
+  // Browsers and fetch() send */*, which keeps JSON
+  const preferred = req.accepts(["application/json", "text/csv", XlsxWriter.contentType]);
+  if (preferred === "text/csv") return "csv";
+  if (preferred === XlsxWriter.contentType) return "xlsx";
+  return null;
+}
+
+// ?columns=patient.PATIENT_ID:ID,riskScore -> [{ path, header }], or null
+export function parseColumns(value) {
+  if (value === undefined || value === "") return null;
+  const columns = String(value)
+    .split(",")
+    .map((spec) => spec.trim())
+    .filter(Boolean)
+    .map((spec) => {
+      const [path, ...header] = spec.split(":");
+      return { path: path.trim(), header: header.join(":").trim() || path.trim() };
+    });
+  if (!columns.length) throw new ExportError("columns must list at least one column");
+  return columns;
+}
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Nested objects become dotted columns; lists of plain values are joined,
+// anything else stays as JSON text
+export function flattenRow(row) {
+  const flat = {};
+  const visit = (value, path) => {
+    if (isObject(value) && Object.keys(value).length) {
+      Object.entries(value).forEach(([key, v]) => visit(v, path ? `${path}.${key}` : key));
+    } else if (Array.isArray(value)) {
+      flat[path] = value.every((v) => v === null || typeof v !== "object") ? value.join("; ") : JSON.stringify(value);
+    } else {
+      flat[path] = isObject(value) ? null : value ?? null;
+    }
+  };
+  visit(isObject(row) ? row : { value: row }, "");
+  return flat;
+}
+
+// The rows to export from a response body
+export function tableRows(body, table) {
+  const lists = Object.entries(isObject(body) ? body : {}).filter(([, value]) => Array.isArray(value));
+  if (table !== undefined) {
+    const list = lists.find(([name]) => name === table);
+    if (!list) {
+      throw new ExportError(`table must name a list in this response: ${lists.map(([name]) => name).join(", ") || "(none)"}`);
+    }
+    return list[1];
+  }
+  if (Array.isArray(body)) return body;
+
+  const ofObjects = lists.filter(([, value]) => value.some(isObject));
+  if (ofObjects.length) return ofObjects.reduce((a, b) => (b[1].length > a[1].length ? b : a))[1];
+  const { success, ...rest } = body || {};
+  return [rest];
+}
+
+// analytics/trends -> analytics-trends-2026-01-31
+export function exportFilename(path, today = todayIso()) {
+  const name = String(path).replace(/^\/?api\//, "").replace(/[^a-z0-9]+/gi, "-").replace(/^-|-$/g, "");
+  return `${name || "export"}-${today}`;
+}
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvValue(value) {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  if (typeof value === "string" && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+async function writeCsv(res, header, rows) {
+  // The byte order mark lets Excel read the file as UTF-8
+  let chunk = `\uFEFF${header.map(csvValue).join(",")}\r\n`;
+  for (const values of rows) {
+    chunk += `${values.map(csvValue).join(",")}\r\n`;
+    if (chunk.length >= CHUNK_CHARS) {
+      await writeChunk(res, chunk);
+      chunk = "";
+    }
+  }
+  res.end(chunk);
+}
+
+async function writeXlsx(res, header, rows) {
+  const writer = new XlsxWriter(res);
+  await writer.start(header);
+  for (const values of rows) await writer.writeRow(values);
+  await writer.end();
+}
+
+// Streams `rows` (any iterable) to the response, with any extra `headers`;
+// resolves with the number of rows written. Throws ExportError, before
+// anything is sent or set, for columns that none of the sampled rows have.
+export async function streamTable(res, rows, { format, columns = null, filename = "export", headers = {} }) {
+  const iterator = rows[Symbol.iterator]();
+  const sample = [];
+  let next = iterator.next();
+  for (; !next.done && sample.length < SAMPLE_ROWS; next = iterator.next()) sample.push(flattenRow(next.value));
+
+  const available = [...new Set(sample.flatMap((row) => Object.keys(row)))];
+  const missing = columns && sample.length ? columns.find((c) => !available.includes(c.path)) : null;
+  if (missing) {
+    throw new ExportError(`Unknown column "${missing.path}". Available columns: ${available.join(", ")}`);
+  }
+  const selected = columns || available.map((path) => ({ path, header: path }));
+
+  let count = 0;
+  const values = function* () {
+    for (const row of sample) {
+      count++;
+      yield selected.map((c) => row[c.path] ?? null);
+    }
+    for (; !next.done; next = iterator.next()) {
+      const row = flattenRow(next.value);
+      count++;
+      yield selected.map((c) => row[c.path] ?? null);
+    }
+  };
+
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  res.attachment(`${filename}.${extension}`);
+  res.set({ ...headers, "Content-Type": contentType });
+  const header = selected.map((c) => c.header);
+  if (format === "xlsx") await writeXlsx(res, header, values());
+  else await writeCsv(res, header, values());
+  return count;
+}
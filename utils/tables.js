@@ -0,0 +1,36 @@
+// utils/tables.js
+
+// Snowflake objects behind each cache. The local data source mirrors this
+// layout as <LOCAL_DATA_DIR>/<cache>/<table>.json (or .csv).
+export const TABLES = {
+  hospital: {
+    visits: "HEAL.HOSPITAL_VIEW.unified_visits_view",
+    patients: "HEAL.HOSPITAL_VIEW.unified_patients_view",
+    deliveries: "HEAL.HOSPITAL_VIEW.unified_deliveries_view",
+    babies: "HEAL.HOSPITAL_VIEW.unified_baby_view",
+  },
+  ongoing: {
+    visits: "HEAL.ONGOING.UNIFIED_VISITS_TABLE",
+    patients: "HEAL.ONGOING.UNIFIED_PATIENTS_TABLE",
+  },
+};
+
+// Default column used to pick up rows changed since the last refresh
+// (override with CHANGE_TIMESTAMP_COLUMN). Tables whose rows don't carry it
+// are always reloaded in full.
+export const DEFAULT_CHANGE_COLUMN = "UPDATED_AT";
+
+// Columns identifying a row, so changed rows replace their previous version
+// during an incremental refresh. Tables missing these are reloaded in full.
+export const ROW_KEYS = {
+  hospital: {
+    visits: ["VISIT_ID"],
+    patients: ["PATIENT_ID"],
+    deliveries: ["DELIVERY_ID"],
+    babies: ["BABY_ID"],
+  },
+  ongoing: {
+    visits: ["VISIT_ID"],
+    patients: ["PATIENT_ID"],
+  },
+};
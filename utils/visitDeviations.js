@@ -0,0 +1,164 @@
+// utils/visitDeviations.js
+
+import { AnalyticsQueryError, queryNumber } from "./analytics.js";
+import { MEASURES, PERCENTILES } from "./referenceCurves.js";
+import { toNumber } from "./normalize.js";
+import { normalCdf, round } from "./statistics.js";
+
+// Scores each visit's measurements against the reference curve for its
+// gestational week. The curves carry percentiles rather than raw values, so
+// the z-score uses the median and a robust SD from the interquartile range
+// (IQR / 1.349), and the percentile is read off the normal distribution.
+//
+// A value is flagged low/high when its percentile falls outside the band
+// (default P10-P90), or its z outside +/- zLimit when that is given instead,
+// so the status always agrees with the z and percentile reported. Only when
+// the curve has no spread (no z) is the value compared with the band's
+// reference values directly.
+// Drifts are looked for within one pregnancy:
+//   persistent  driftVisits or more consecutive visits flagged the same way
+//   trend       z moving the same way across driftVisits or more consecutive
+//               visits, by at least driftZ in total (crossing centiles)
+
+const DEFAULT_BAND = [10, 90];
+const DEFAULT_DRIFT_VISITS = 3;
+const DEFAULT_DRIFT_Z = 1;
+// How far to look for a reference week when the visit's own week has none
+const MAX_REFERENCE_DISTANCE = 2;
+const IQR_TO_SD = 1.349;
+
+export function parseDeviationOptions(query = {}) {
+  let band = DEFAULT_BAND;
+  if (query.band !== undefined) {
+    const m = String(query.band).trim().match(/^p?(\d+)\s*-\s*p?(\d+)$/i);
+    band = m ? [Number(m[1]), Number(m[2])] : null;
+    if (!band || !PERCENTILES.includes(band[0]) || !PERCENTILES.includes(band[1]) || band[0] >= band[1]) {
+      throw new AnalyticsQueryError(`band must be two of ${PERCENTILES.join(", ")}, e.g. 10-90`);
+    }
+  }
+
+  return {
+    band,
+    zLimit: queryNumber(query, "zLimit", { above: 0, integer: false }),
+    driftVisits: Math.max(2, queryNumber(query, "driftVisits", { fallback: DEFAULT_DRIFT_VISITS, above: 0 })),
+    driftZ: queryNumber(query, "driftZ", { fallback: DEFAULT_DRIFT_Z, above: 0, integer: false }),
+  };
+}
+
+function referenceFor(curve, gestationalAge) {
+  const ga = toNumber(gestationalAge);
+  if (ga === null) return null;
+  const week = Math.floor(ga);
+  let best = null;
+  curve.forEach((entry) => {
+    const distance = Math.abs(entry.week - week);
+    if (distance <= MAX_REFERENCE_DISTANCE && (!best || distance < Math.abs(best.week - week))) best = entry;
+  });
+  return best;
+}
+
+function scoreValue(value, reference, options) {
+  const sd = reference.p75 !== null && reference.p25 !== null ? (reference.p75 - reference.p25) / IQR_TO_SD : null;
+  const z = sd > 0 ? (value - reference.p50) / sd : null;
+
+  const percentile = z === null ? null : normalCdf(z) * 100;
+  const [lower, upper] = options.band;
+
+  let status;
+  if (options.zLimit !== null) {
+    status = z === null ? null : z < -options.zLimit ? "low" : z > options.zLimit ? "high" : "normal";
+  } else if (percentile !== null) {
+    status = percentile < lower ? "low" : percentile > upper ? "high" : "normal";
+  } else {
+    status = value < reference[`p${lower}`] ? "low" : value > reference[`p${upper}`] ? "high" : "normal";
+  }
+
+  return {
+    value,
+    z: round(z, 2),
+    percentile: round(percentile, 1),
+    status,
+    reference: {
+      week: reference.week,
+      n: reference.pooledN ?? reference.n,
+      ...Object.fromEntries(PERCENTILES.map((p) => [`p${p}`, reference[`p${p}`]])),
+    },
+  };
+}
+
+function byDate(a, b) {
+  return String(a.VISIT_DATE ?? "").localeCompare(String(b.VISIT_DATE ?? "")) ||
+    (toNumber(a.GESTATIONAL_AGE_WEEKS) ?? 0) - (toNumber(b.GESTATIONAL_AGE_WEEKS) ?? 0);
+}
+
+function scoreVisits(visits, curves, options) {
+  return [...visits].sort(byDate).map((visit) => {
+    const measures = {};
+    Object.entries(MEASURES).forEach(([name, measure]) => {
+      const value = toNumber(visit[measure.column]);
+      const reference = value === null ? null : referenceFor(curves[name] || [], visit.GESTATIONAL_AGE_WEEKS);
+      measures[name] = reference ? scoreValue(value, reference, options) : { value, z: null, percentile: null, status: null, reference: null };
+    });
+    return {
+      VISIT_ID: visit.VISIT_ID ?? null,
+      VISIT_DATE: visit.VISIT_DATE ?? null,
+      GESTATIONAL_AGE_WEEKS: visit.GESTATIONAL_AGE_WEEKS ?? null,
+      measures,
+      flagged: Object.keys(measures).filter((name) => measures[name].status === "low" || measures[name].status === "high"),
+    };
+  });
+}
+
+function span(scored, from, to) {
+  return {
+    fromDate: scored[from].visit.VISIT_DATE,
+    toDate: scored[to].visit.VISIT_DATE,
+    fromWeek: scored[from].visit.GESTATIONAL_AGE_WEEKS,
+    toWeek: scored[to].visit.GESTATIONAL_AGE_WEEKS,
+    visits: to - from + 1,
+  };
+}
+
+function measureDrifts(name, visits, options) {
+  const scored = visits
+    .map((visit) => ({ visit, ...visit.measures[name] }))
+    .filter((s) => s.status !== null);
+  const drifts = [];
+
+  // Runs flagged the same way
+  for (let i = 0; i < scored.length;) {
+    let j = i;
+    while (j + 1 < scored.length && scored[j + 1].status === scored[i].status) j++;
+    if (scored[i].status !== "normal" && j - i + 1 >= options.driftVisits) {
+      drifts.push({ measure: name, type: "persistent", direction: scored[i].status, ...span(scored, i, j) });
+    }
+    i = j + 1;
+  }
+
+  // Monotonic z runs
+  const withZ = scored.filter((s) => s.z !== null);
+  for (let i = 0; i < withZ.length - 1;) {
+    const direction = Math.sign(withZ[i + 1].z - withZ[i].z);
+    let j = i + 1;
+    while (direction !== 0 && j + 1 < withZ.length && Math.sign(withZ[j + 1].z - withZ[j].z) === direction) j++;
+    const change = withZ[j].z - withZ[i].z;
+    if (direction !== 0 && j - i + 1 >= options.driftVisits && Math.abs(change) >= options.driftZ) {
+      drifts.push({
+        measure: name,
+        type: "trend",
+        direction: direction > 0 ? "rising" : "falling",
+        zChange: round(change, 2),
+        ...span(withZ, i, j),
+      });
+    }
+    i = j;
+  }
+  return drifts;
+}
+
+// One pregnancy's visits (or the visits not tied to a pregnancy)
+export function scorePregnancy(visits, curves, options) {
+  const scored = scoreVisits(visits, curves, options);
+  const drifts = Object.keys(MEASURES).flatMap((name) => measureDrifts(name, scored, options));
+  return { visits: scored, drifts };
+}